@@ -3,21 +3,164 @@ const browserApi = typeof browser !== 'undefined' ? browser : chrome;
 const ACTION_QUEUE_KEY = 'personalizeActionQueue';
 const PAGE_STATS_KEY = 'pageStats';
 const PAGE_PREFERENCES_KEY = 'pagePreferences';
+// 削除したサイトの好みを他の端末の複製から取り込み直さないための削除記録
+const PAGE_PREFERENCE_TOMBSTONES_KEY = 'pagePreferenceTombstones';
+const PAGE_PREFERENCE_TOMBSTONE_LIMIT = 200;
 const DEBUG_MODE_KEY = 'personalizeDebugMode';
+const ACCEPTED_STYLES_KEY = 'acceptedStyles';
+const ACCEPTED_STYLES_PER_ORIGIN_LIMIT = 10;
+const ACCEPTED_STYLE_CSS_LIMIT = 8000;
+const PREFERENCE_MODEL_KEY = 'preferenceModel';
+const PREFERENCE_DIMENSIONS = ['fontScale', 'contrast', 'density', 'theme'];
+// 根拠の重みがこの値に達すると確信度は約 0.63 になる
+const PREFERENCE_CONFIDENCE_SCALE = 5;
+// 重みに上限を設けて、好みが変わったときに新しい操作で平均を動かせるようにする
+const PREFERENCE_WEIGHT_CAP = 50;
+const PREFERENCE_APPLY_CONFIDENCE = 0.5;
+const PREFERENCE_FONT_SCALE_RANGE = { min: 0.5, max: 3 };
+const PAGE_ZOOM_DEBOUNCE_MS = 1000;
+const CLICK_REGIONS_KEY = 'clickRegions';
+// サイトごとに残す要素の数と、プロンプトに含める「よく使う箇所」の件数・最低クリック数
+const CLICK_REGION_LIMITS = { perOrigin: 30, promptEntries: 5, minCount: 2 };
+const CLICK_REGION_LABELS = {
+  nav: 'ナビゲーション',
+  header: 'ヘッダー',
+  footer: 'フッター',
+  aside: 'サイドバー',
+  main: '本文',
+  form: 'フォーム',
+  body: 'その他'
+};
 
 const DATABASE_NAME = 'personalize-extension';
-const DATABASE_VERSION = 1;
 const PAGE_FEATURE_STORE = 'pageFeatures';
 const INTERACTION_STORE = 'interactionLogs';
+const LLM_CACHE_STORE = 'llmCache';
 const OPENAI_KEY_STORAGE_KEY = 'personalizeOpenAiApiKey';
 const OPENAI_MODEL_NAME = 'gpt-5.0-multimodal-preview';
+const LLM_PROVIDER_SETTINGS_KEY = 'personalizeLlmProviderSettings';
+const DEFAULT_LLM_PROVIDER_ID = 'openai-responses';
+const LLM_TASK_SETTINGS_KEY = 'personalizeLlmTaskSettings';
+const LLM_MAX_OUTPUT_TOKENS_RANGE = { min: 16, max: 4000 };
+const LLM_TEMPERATURE_RANGE = { min: 0, max: 2 };
+const LLM_CACHE_TTL_KEY = 'personalizeLlmCacheTtlMinutes';
+const DEFAULT_LLM_CACHE_TTL_MINUTES = 1440;
+const PRIVACY_SETTINGS_KEY = 'personalizePrivacySettings';
+const PRIVACY_DENIED_PATTERN_LIMIT = 200;
+const DEFAULT_PRIVACY_SETTINGS = { paused: false, excludeIncognito: true, deniedPatterns: [] };
+const REDACTION_SETTINGS_KEY = 'personalizeRedactionSettings';
+const RETENTION_SETTINGS_KEY = 'personalizeRetentionSettings';
+const RETENTION_ALARM_NAME = 'storage-retention';
+const RETENTION_INTERVAL_MINUTES = 60;
+const DEFAULT_RETENTION_SETTINGS = { maxAgeDays: 90, maxRecordsPerOrigin: 500, maxTotalMegabytes: 20 };
+const RETENTION_RANGES = {
+  maxAgeDays: { min: 1, max: 3650 },
+  maxRecordsPerOrigin: { min: 10, max: 100000 },
+  maxTotalMegabytes: { min: 1, max: 1024 }
+};
+const PROFILE_FORMAT = 'personalize-profile';
+const PROFILE_VERSION = 1;
+const SYNC_SETTINGS_KEY = 'personalizeSyncSettings';
+const SYNC_STATE_KEY = 'personalizeSyncState';
+const SYNCED_PAGE_SUMMARIES_KEY = 'syncedPageSummaries';
+const SYNC_ALARM_NAME = 'profile-sync';
+const SYNC_INTERVAL_MINUTES = 15;
+const DEFAULT_SYNC_SETTINGS = { enabled: false, backend: 'rest', endpoint: '', token: '' };
+const TASK_RETRY_ALARM_PREFIX = 'task-retry:';
+// キュー内のタスクごとの再試行方針。ここにないタスクは失敗しても再試行しない
+const TASK_RETRY_POLICY = {
+  SYNC_PROFILE: { maxAttempts: 6, baseDelayMs: 30 * 1000, maxDelayMs: 30 * 60 * 1000 }
+};
+const HISTORY_SYNC_STATE_KEY = 'personalizeHistorySyncState';
+// 実行中の履歴の差分解析が終わってから始めるタスク。解析結果が削除後に書き戻されないようにする
+const HISTORY_EXCLUSIVE_TASKS = new Set(['REMOVE_HISTORY_DATA', 'DELETE_ORIGIN_DATA', 'DELETE_ALL_DATA', 'IMPORT_PROFILE']);
+// 1 件ごとにページ取得と LLM 呼び出し 2 回がかかるため、1 回の実行で処理する量を絞る
+const HISTORY_SYNC_LIMITS = {
+  maxResults: 500,
+  maxEntriesPerRun: 10,
+  maxRunMs: 60 * 1000,
+  concurrency: 2,
+  freshnessMs: 24 * 60 * 60 * 1000,
+  initialLookbackMs: 7 * 24 * 60 * 60 * 1000,
+  // 失敗した項目はこの回数まで透かしを止めて再試行し、それ以上は諦めて先へ進む
+  maxAttempts: 3,
+  minWindowMs: 1000
+};
+const HISTORY_VISIT_ALARM_NAME = 'history-visit';
+const HISTORY_VISIT_DELAY_MS = 30 * 1000;
+const ACTIVE_DWELL_SESSION_KEY = 'personalizeActiveDwell';
+// 1 秒未満のタブ切り替えは記録せず、放置されたタブの分は 1 区間 30 分で打ち切る
+const DWELL_LIMITS = { minMs: 1000, maxSegmentMs: 30 * 60 * 1000 };
+const TAB_PAGES_SESSION_KEY = 'personalizeTabPages';
+// 戻る・進むで、表示してからこの時間内にページを離れたら直帰とみなす
+const BOUNCE_STAY_LIMIT_MS = 15 * 1000;
+const ENCRYPTION_SETTINGS_KEY = 'personalizeEncryptionSettings';
+const ENCRYPTION_SESSION_KEY = 'personalizeEncryptionKey';
+const ENCRYPTION_PBKDF2_ITERATIONS = 310000;
+const ENCRYPTION_MIN_PASSPHRASE_LENGTH = 8;
+const ENCRYPTION_VERIFIER_TEXT = 'personalize-encryption-check';
+// 暗号化して IndexedDB に保存するページ特徴量のフィールド
+const ENCRYPTED_RECORD_FIELDS = ['textSample', 'viewportSummary', 'rawLLMResponse'];
+const STORAGE_MIRROR_ENABLED_KEY = 'personalizeStorageMirrorEnabled';
+const STORAGE_MIRROR_STATE_KEY = 'personalizeStorageMirrorState';
+const STORAGE_MIRROR_PREFIX = 'mirror:';
+// storage.sync の 1 項目あたり / 全体の上限に合わせる
+const STORAGE_MIRROR_ITEM_BYTES = 8 * 1024;
+const STORAGE_MIRROR_TOTAL_BYTES = 100 * 1024;
+const STORAGE_MIRROR_ALARM_NAME = 'storage-mirror';
+// alarms の最短間隔（30 秒）に合わせる
+const STORAGE_MIRROR_DELAY_MS = 30 * 1000;
+// 優先度の高い順。API キーや同期トークンは含めず、上限に収まらない分は storage.local にだけ残す
+const STORAGE_MIRROR_KEYS = [
+  DEBUG_MODE_KEY,
+  LLM_CACHE_TTL_KEY,
+  LLM_PROVIDER_SETTINGS_KEY,
+  LLM_TASK_SETTINGS_KEY,
+  PRIVACY_SETTINGS_KEY,
+  REDACTION_SETTINGS_KEY,
+  RETENTION_SETTINGS_KEY,
+  PAGE_PREFERENCE_TOMBSTONES_KEY,
+  PAGE_PREFERENCES_KEY
+];
 const PERSONALIZE_MENU_ID = 'personalize-apply-visual-change';
 const PERSONALIZE_MENU_TITLE = 'ページの見た目をパーソナライズ';
 
 const taskQueue = [];
 let processing = false;
+// キューとは別に裏で動かしている履歴の差分解析
+let historySyncRun = null;
+// キューのタスクと履歴の差分解析の書き込みを 1 つずつ実行するための鎖
+let dataLock = Promise.resolve();
+// キューのタスクの完了を待っている呼び出し元。関数は保存できないので、タスクには id だけを持たせる
+const taskWaiters = new Map();
 let dbPromise;
 
+// ポップアップで確認中の提案をタブごとに保持し、適用時に同じ CSS を使う
+const pendingPagePreviews = new Map();
+
+const llmCacheStats = {
+  hits: 0,
+  misses: 0
+};
+
+const retentionStats = {
+  runs: 0,
+  lastRunAt: null,
+  deleted: { [PAGE_FEATURE_STORE]: 0, [INTERACTION_STORE]: 0 },
+  stores: null
+};
+
+const cssSanitizerStats = {
+  runs: 0,
+  droppedRules: 0,
+  droppedDeclarations: 0,
+  lastReport: null
+};
+
+const LLM_VALIDATION_FAILURE_LIMIT = 20;
+const llmValidationFailures = [];
+let llmValidationFailureCount = 0;
+
 const logger = (() => {
   const prefix = '[personalize]';
   let debugMode = false;
@@ -103,19 +246,12 @@ function registerContextMenu() {
   }
 }
 
-function openDatabase() {
-  if (dbPromise) {
-    logger.debug('Reusing existing IndexedDB connection');
-    return dbPromise;
-  }
-
-  logger.debug('Opening IndexedDB connection');
-  dbPromise = new Promise((resolve, reject) => {
-    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
-
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      logger.info('Applying IndexedDB schema upgrade to version', DATABASE_VERSION);
+// スキーマ変更はここに追記する。version は昇順に並べ、一度リリースした項目は書き換えない
+const DATABASE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create pageFeatures and interactionLogs stores',
+    migrate(db) {
       if (!db.objectStoreNames.contains(PAGE_FEATURE_STORE)) {
         const pageStore = db.createObjectStore(PAGE_FEATURE_STORE, {
           keyPath: 'id'
@@ -135,17 +271,178 @@ function openDatabase() {
         interactionStore.createIndex('byType', 'actionType', { unique: false });
         interactionStore.createIndex('byTimestamp', 'timestamp', { unique: false });
       }
+    }
+  },
+  {
+    version: 2,
+    description: 'Create llmCache store',
+    migrate(db) {
+      if (!db.objectStoreNames.contains(LLM_CACHE_STORE)) {
+        const cacheStore = db.createObjectStore(LLM_CACHE_STORE, {
+          keyPath: 'key'
+        });
+        cacheStore.createIndex('byExpiresAt', 'expiresAt', { unique: false });
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Index pageFeatures by extractedAt for retention',
+    migrate(db, transaction) {
+      const pageStore = transaction.objectStore(PAGE_FEATURE_STORE);
+      if (!pageStore.indexNames.contains('byExtractedAt')) {
+        pageStore.createIndex('byExtractedAt', 'extractedAt', { unique: false });
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Add [origin, timestamp] index to interactionLogs and backfill missing keys',
+    migrate(db, transaction) {
+      const interactionStore = transaction.objectStore(INTERACTION_STORE);
+      if (!interactionStore.indexNames.contains('byOriginTimestamp')) {
+        interactionStore.createIndex('byOriginTimestamp', ['origin', 'timestamp'], { unique: false });
+      }
+
+      // origin や timestamp が欠けたレコードは複合 index に載らないため、URL と 0 で補完する
+      interactionStore.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          return;
+        }
+
+        const record = cursor.value;
+        if (typeof record.origin !== 'string' || typeof record.timestamp !== 'number') {
+          let origin = record.origin;
+          if (typeof origin !== 'string') {
+            try {
+              origin = new URL(record.url).origin;
+            } catch (error) {
+              origin = String(record.url || 'unknown');
+            }
+          }
+          cursor.update({ ...record, origin, timestamp: typeof record.timestamp === 'number' ? record.timestamp : 0 });
+        }
+        cursor.continue();
+      };
+    }
+  },
+  {
+    version: 5,
+    description: 'Backfill retention timestamps missing from pageFeatures and interactionLogs',
+    migrate(db, transaction) {
+      // 時刻のないレコードは保持期間の index に載らず整理されないため、最も古い扱いの 0 で補完する
+      for (const [storeName, field] of [
+        [PAGE_FEATURE_STORE, 'extractedAt'],
+        [INTERACTION_STORE, 'timestamp']
+      ]) {
+        transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) {
+            return;
+          }
+
+          if (!Number.isFinite(cursor.value[field])) {
+            cursor.update({ ...cursor.value, [field]: 0 });
+          }
+          cursor.continue();
+        };
+      }
+    }
+  }
+];
+const DATABASE_VERSION = DATABASE_MIGRATIONS[DATABASE_MIGRATIONS.length - 1].version;
+
+const databaseStats = {
+  version: null,
+  blockedCount: 0,
+  lastError: null,
+  recoveredAt: null
+};
+
+function runDatabaseMigrations(db, transaction, oldVersion) {
+  for (const migration of DATABASE_MIGRATIONS) {
+    if (migration.version <= oldVersion) {
+      continue;
+    }
+
+    logger.info('Applying IndexedDB migration', migration.version, migration.description);
+    migration.migrate(db, transaction);
+  }
+}
+
+function deleteDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(DATABASE_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => {
+      logger.warn('IndexedDB deletion blocked by another open connection');
+    };
+  });
+}
+
+function openDatabase({ allowRecovery = true } = {}) {
+  if (dbPromise) {
+    logger.debug('Reusing existing IndexedDB connection');
+    return dbPromise;
+  }
+
+  logger.debug('Opening IndexedDB connection');
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      logger.info('Upgrading IndexedDB schema', { from: event.oldVersion, to: DATABASE_VERSION });
+      try {
+        runDatabaseMigrations(request.result, request.transaction, event.oldVersion);
+      } catch (error) {
+        // 途中で失敗した場合は upgrade 全体を取り消し、旧スキーマのまま残す
+        logger.error('IndexedDB migration failed', error);
+        request.transaction.abort();
+      }
+    };
+
+    request.onblocked = () => {
+      databaseStats.blockedCount += 1;
+      logger.warn('IndexedDB upgrade blocked by another open connection');
     };
 
     request.onsuccess = () => {
+      const db = request.result;
+      // 別のコンテキストがスキーマを上げようとしたら接続を明け渡し、次回のアクセスで開き直す
+      db.onversionchange = () => {
+        logger.info('IndexedDB version change requested, closing connection');
+        db.close();
+        dbPromise = undefined;
+      };
+      db.onclose = () => {
+        logger.warn('IndexedDB connection closed unexpectedly');
+        dbPromise = undefined;
+      };
+
+      databaseStats.version = db.version;
       logger.debug('IndexedDB connection established');
-      resolve(request.result);
+      resolve(db);
     };
 
     request.onerror = () => {
       logger.error('IndexedDB connection failed', request.error);
       reject(request.error);
     };
+  }).catch(async (error) => {
+    dbPromise = undefined;
+    databaseStats.lastError = error?.name || String(error);
+
+    // UnknownError はバッキングストアの破損で起きるため、作り直して空の状態から復旧する
+    if (!allowRecovery || error?.name !== 'UnknownError') {
+      throw error;
+    }
+
+    logger.error('IndexedDB appears corrupted, recreating database', error);
+    await deleteDatabase();
+    databaseStats.recoveredAt = Date.now();
+    return openDatabase({ allowRecovery: false });
   });
 
   return dbPromise;
@@ -181,16 +478,37 @@ function withStore(storeName, mode, handler) {
   );
 }
 
-async function savePageFeature(record) {
-  const sanitizedRecord = {
-    ...record,
+function pickFiniteNumbers(source) {
+  const picked = {};
+  for (const [key, value] of Object.entries(isPlainObject(source) ? source : {})) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      picked[key] = value;
+    }
+  }
+  return picked;
+}
+
+// インポートしたファイルの余分なフィールドを IndexedDB に持ち込まないよう、保存するフィールドを列挙して組み立てる
+function buildPageFeatureRecord(record) {
+  return {
     id: record.id || (record.source === 'history' ? `${record.origin}::history` : generateId()),
-    visualTrend: truncateText(record.visualTrend, 1200),
-    layoutHighlights: truncateText(record.layoutHighlights, 1200),
+    url: redactUrl(record.url),
+    origin: String(record.origin || ''),
+    source: record.source === 'history' ? 'history' : 'live',
+    extractedAt: Number(record.extractedAt) || Date.now(),
+    context: pickFiniteNumbers(record.context),
+    title: redactText(record.title),
+    visualTrend: truncateText(redactText(record.visualTrend), 1200),
+    layoutHighlights: truncateText(redactText(record.layoutHighlights), 1200),
     category: truncateText(record.category, 120),
-    textSample: truncateText(record.textSample, 2000),
-    rawLLMResponse: record.rawLLMResponse ? truncateText(record.rawLLMResponse, 4000) : undefined
+    textSample: truncateText(redactText(record.textSample), 2000),
+    viewportSummary: redactText(record.viewportSummary),
+    rawLLMResponse: record.rawLLMResponse ? truncateText(redactText(record.rawLLMResponse), 4000) : undefined
   };
+}
+
+async function savePageFeature(record) {
+  const sanitizedRecord = await sealRecordFields(buildPageFeatureRecord(record));
 
   await withStore(PAGE_FEATURE_STORE, 'readwrite', (store) => {
     store.put(sanitizedRecord);
@@ -200,12 +518,19 @@ async function savePageFeature(record) {
   return sanitizedRecord.id;
 }
 
-async function saveInteractionLog(record) {
-  const sanitizedRecord = {
-    ...record,
+function buildInteractionLogRecord(record) {
+  return {
     id: record.id || generateId(),
-    meta: sanitizeMeta(record.meta)
+    url: redactUrl(record.url),
+    origin: String(record.origin || ''),
+    actionType: String(record.actionType || ''),
+    meta: sanitizeMeta(record.meta),
+    timestamp: Number(record.timestamp) || Date.now()
   };
+}
+
+async function saveInteractionLog(record) {
+  const sanitizedRecord = await sealRecordFields(buildInteractionLogRecord(record));
 
   await withStore(INTERACTION_STORE, 'readwrite', (store) => {
     store.put(sanitizedRecord);
@@ -215,6 +540,137 @@ async function saveInteractionLog(record) {
   return sanitizedRecord.id;
 }
 
+function sanitizeRetentionSettings(settings) {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  const sanitized = {};
+  for (const [key, range] of Object.entries(RETENTION_RANGES)) {
+    const value = Number(source[key]);
+    sanitized[key] = Number.isFinite(value)
+      ? Math.min(Math.max(Math.round(value), range.min), range.max)
+      : DEFAULT_RETENTION_SETTINGS[key];
+  }
+  return sanitized;
+}
+
+async function loadRetentionSettings() {
+  const stored = await browserApi.storage.local.get({ [RETENTION_SETTINGS_KEY]: DEFAULT_RETENTION_SETTINGS });
+  return sanitizeRetentionSettings(stored[RETENTION_SETTINGS_KEY]);
+}
+
+function estimateRecordBytes(record) {
+  try {
+    return JSON.stringify(record).length * 2;
+  } catch (error) {
+    return 0;
+  }
+}
+
+async function pruneStore(storeName, timeIndexName, { cutoff, maxRecordsPerOrigin, byteBudget }) {
+  // 新しい順にたどり、期限切れ・origin ごとの上限超過・容量予算超過のレコードを削除する
+  return withStore(storeName, 'readwrite', (store) => new Promise((resolve, reject) => {
+    const perOrigin = new Map();
+    const result = { kept: 0, deleted: 0, bytes: 0 };
+    const request = store.index(timeIndexName).openCursor(null, 'prev');
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(result);
+        return;
+      }
+
+      const record = cursor.value;
+      const timestamp = record[cursor.source.keyPath] || 0;
+      const originCount = (perOrigin.get(record.origin) || 0) + 1;
+      const bytes = estimateRecordBytes(record);
+      perOrigin.set(record.origin, originCount);
+
+      if (timestamp < cutoff || originCount > maxRecordsPerOrigin || result.bytes + bytes > byteBudget) {
+        cursor.delete();
+        result.deleted += 1;
+      } else {
+        result.kept += 1;
+        result.bytes += bytes;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+async function applyRetentionPolicy() {
+  const settings = await loadRetentionSettings();
+  const cutoff = Date.now() - settings.maxAgeDays * 24 * 60 * 60 * 1000;
+  const totalBudget = settings.maxTotalMegabytes * 1024 * 1024;
+
+  // 容量予算はページ特徴量を優先して割り当て、残りを操作ログに回す
+  const pageFeatures = await pruneStore(PAGE_FEATURE_STORE, 'byExtractedAt', {
+    cutoff,
+    maxRecordsPerOrigin: settings.maxRecordsPerOrigin,
+    byteBudget: totalBudget
+  });
+  const interactionLogs = await pruneStore(INTERACTION_STORE, 'byTimestamp', {
+    cutoff,
+    maxRecordsPerOrigin: settings.maxRecordsPerOrigin,
+    byteBudget: Math.max(totalBudget - pageFeatures.bytes, 0)
+  });
+
+  retentionStats.runs += 1;
+  retentionStats.lastRunAt = Date.now();
+  retentionStats.deleted[PAGE_FEATURE_STORE] += pageFeatures.deleted;
+  retentionStats.deleted[INTERACTION_STORE] += interactionLogs.deleted;
+  retentionStats.stores = {
+    [PAGE_FEATURE_STORE]: { records: pageFeatures.kept, bytes: pageFeatures.bytes },
+    [INTERACTION_STORE]: { records: interactionLogs.kept, bytes: interactionLogs.bytes }
+  };
+
+  logger.info('Retention policy applied', {
+    settings,
+    deleted: { pageFeatures: pageFeatures.deleted, interactionLogs: interactionLogs.deleted }
+  });
+  return { pageFeatures, interactionLogs };
+}
+
+async function describeStorageUsage() {
+  let estimate = null;
+  if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      estimate = { usage, quota };
+    } catch (error) {
+      logger.warn('Failed to estimate storage usage', error);
+    }
+  }
+
+  const counts = {};
+  for (const storeName of [PAGE_FEATURE_STORE, INTERACTION_STORE]) {
+    try {
+      counts[storeName] = await withStore(storeName, 'readonly', (store) => new Promise((resolve, reject) => {
+        const request = store.count();
+        request.onsuccess = () => resolve(request.result || 0);
+        request.onerror = () => reject(request.error);
+      }));
+    } catch (error) {
+      logger.warn('Failed to count records', storeName, error);
+      counts[storeName] = null;
+    }
+  }
+
+  return {
+    estimate,
+    records: counts,
+    retention: {
+      settings: await loadRetentionSettings(),
+      // 合計サイズは JSON の文字数から見積もった概算で、IndexedDB の実際の使用量とは一致しない
+      sizeBudget: { approximate: true, method: 'JSON.stringify length × 2 bytes per record' },
+      runs: retentionStats.runs,
+      lastRunAt: retentionStats.lastRunAt,
+      deleted: { ...retentionStats.deleted },
+      stores: retentionStats.stores
+    }
+  };
+}
+
 function generateId() {
   if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
     return crypto.randomUUID();
@@ -235,6 +691,137 @@ function truncateText(value, limit) {
   return `${value.slice(0, limit - 3)}...`;
 }
 
+function passesLuhnCheck(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// 保存前と LLM 送信前にかける伏せ字ルール。上から順に適用し、置換関数は String#replace の引数を受け取る
+const REDACTION_RULES = {
+  formValue: {
+    label: 'フォーム入力値',
+    patterns: [
+      [/(<(?:input|option)\b[^>]*?\bvalue\s*=\s*)(["'])[^"']*\2/gi, (match, prefix, quote) => `${prefix}${quote}[FORM_VALUE]${quote}`],
+      [/(<textarea\b[^>]*>)[\s\S]*?(<\/textarea>)/gi, (match, open, close) => `${open}[FORM_VALUE]${close}`]
+    ]
+  },
+  urlToken: {
+    label: 'URL 内のトークン',
+    patterns: [
+      [
+        /([?&#;](?:access_token|id_token|refresh_token|token|auth|code|key|api_key|apikey|session|sessionid|sid|password|passwd|pwd|secret|signature|sig)=)[^&#\s"'<>]+/gi,
+        (match, prefix) => `${prefix}[TOKEN]`
+      ]
+    ]
+  },
+  email: {
+    label: 'メールアドレス',
+    patterns: [[/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, () => '[EMAIL]']]
+  },
+  postalAddress: {
+    label: '住所（日本）',
+    patterns: [
+      [
+        /(?:〒\s*\d{3}-?\d{4}\s*)?(?:北海道|東京都|京都府|大阪府|[\u4e00-\u9fff]{2,3}県)[\u3041-\u3096\u30a1-\u30fc\u4e00-\u9fff\s]{1,30}?[0-9０-９]+(?:(?:丁目|番地|番|号|[-－‐ー])[0-9０-９]*)*/g,
+        () => '[ADDRESS]'
+      ],
+      [/〒\s*\d{3}-?\d{4}/g, () => '[POSTAL_CODE]']
+    ]
+  },
+  creditCard: {
+    label: 'クレジットカード番号',
+    patterns: [
+      [
+        /\b\d(?:[ -]?\d){12,18}\b/g,
+        (match) => (passesLuhnCheck(match.replace(/\D/g, '')) ? '[CARD]' : match)
+      ]
+    ]
+  },
+  phone: {
+    label: '電話番号',
+    patterns: [[/(?<![\w-])(?:\+\d{1,3}[-\s.]?\d{1,4}|\(?0\d{1,4}\)?)[-\s.]?\d{1,4}[-\s.]?\d{3,4}\b/g, () => '[PHONE]']]
+  }
+
+};
+
+const redactionState = {
+  enabledRules: new Set(Object.keys(REDACTION_RULES)),
+  counts: Object.fromEntries(Object.keys(REDACTION_RULES).map((ruleId) => [ruleId, 0]))
+};
+
+function applyRedactionSettings(settings) {
+  // 未設定のルールは有効扱いにし、明示的に false のものだけ止める
+  const source = settings && typeof settings === 'object' ? settings : {};
+  redactionState.enabledRules = new Set(
+    Object.keys(REDACTION_RULES).filter((ruleId) => source[ruleId] !== false)
+  );
+}
+
+async function initializeRedactionSettings() {
+  try {
+    const stored = await browserApi.storage.local.get({ [REDACTION_SETTINGS_KEY]: {} });
+    applyRedactionSettings(stored[REDACTION_SETTINGS_KEY]);
+  } catch (error) {
+    logger.warn('Failed to load redaction settings, keeping all rules enabled', error);
+  }
+}
+
+initializeRedactionSettings();
+
+if (browserApi.storage?.onChanged) {
+  browserApi.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && Object.prototype.hasOwnProperty.call(changes, REDACTION_SETTINGS_KEY)) {
+      applyRedactionSettings(changes[REDACTION_SETTINGS_KEY]?.newValue);
+    }
+  });
+}
+
+function redactText(value, ruleIds = redactionState.enabledRules) {
+  if (typeof value !== 'string' || !value) {
+    return value;
+  }
+
+  let text = value;
+  for (const [ruleId, rule] of Object.entries(REDACTION_RULES)) {
+    if (!ruleIds.has(ruleId)) {
+      continue;
+    }
+    for (const [pattern, replace] of rule.patterns) {
+      text = text.replace(pattern, (...args) => {
+        const replaced = replace(...args);
+        if (replaced !== args[0]) {
+          redactionState.counts[ruleId] += 1;
+        }
+        return replaced;
+      });
+    }
+  }
+  return text;
+}
+
+function redactUrl(url) {
+  // URL はインデックスのキーにも使うため、トークンだけを決定的に伏せる
+  return redactionState.enabledRules.has('urlToken') ? redactText(url, new Set(['urlToken'])) : url;
+}
+
+function describeRedactionRules() {
+  return Object.entries(REDACTION_RULES).map(([id, rule]) => ({
+    id,
+    label: rule.label,
+    enabled: redactionState.enabledRules.has(id)
+  }));
+}
+
 function sanitizeMeta(meta) {
   if (!meta || typeof meta !== 'object') {
     return {};
@@ -243,13 +830,13 @@ function sanitizeMeta(meta) {
   const sanitized = {};
   for (const [key, value] of Object.entries(meta)) {
     if (typeof value === 'string') {
-      sanitized[key] = truncateText(value, 800);
+      sanitized[key] = truncateText(redactText(value), 800);
     } else if (typeof value === 'number' || typeof value === 'boolean') {
       sanitized[key] = value;
     } else if (Array.isArray(value)) {
       sanitized[key] = value.slice(0, 20).map((item) => {
         if (typeof item === 'string') {
-          return truncateText(item, 200);
+          return truncateText(redactText(item), 200);
         }
         return item;
       });
@@ -329,6 +916,17 @@ function validateUserActionPayload(payload) {
   };
 }
 
+// 閲覧中の計測値や、ページを離れる・ページ上で付随して行う操作。訪問回数には数えない
+const PASSIVE_ACTION_TYPES = new Set([
+  'reading-time',
+  'scroll-depth',
+  'idle',
+  'bounce',
+  'copy',
+  'page-zoom',
+  'display-settings'
+]);
+
 const CATEGORY_KEYWORDS = {
   news: ['news', 'breaking', 'press', 'headline', '記事', 'ニュース'],
   shopping: ['shop', 'cart', 'buy', 'sale', '商品', '購入', '通販'],
@@ -416,1024 +1014,4112 @@ function buildVisualTrendDescription({
   return trendParts.join(' ');
 }
 
-async function loadOpenAiApiKey() {
-  try {
-    const storage = await browserApi.storage.local.get({ [OPENAI_KEY_STORAGE_KEY]: null });
-    return storage[OPENAI_KEY_STORAGE_KEY];
-  } catch (error) {
-    logger.warn('Failed to load OpenAI API key', error);
-    return null;
-  }
-}
+// パスフレーズから導出した鍵は storage.session（メモリ上のみ、ブラウザを閉じると消える）に置く
+let encryptionKeyCache = null;
 
-function extractOpenAiResponseText(result) {
-  if (!result) {
-    return '';
+function encodeBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
   }
+  return btoa(binary);
+}
 
-  if (Array.isArray(result.output)) {
-    for (const outputPart of result.output) {
-      if (!outputPart?.content) {
-        continue;
-      }
-      for (const contentPart of outputPart.content) {
-        if (typeof contentPart?.text === 'string' && contentPart.text.trim()) {
-          return contentPart.text.trim();
-        }
-      }
-    }
-  }
+function decodeBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
 
-  if (Array.isArray(result.choices)) {
-    for (const choice of result.choices) {
-      const message = choice?.message?.content;
-      if (typeof message === 'string' && message.trim()) {
-        return message.trim();
-      }
-    }
-  }
+function isEncryptedValue(value) {
+  return isPlainObject(value) && value.alg === 'AES-GCM' && typeof value.iv === 'string' && typeof value.data === 'string';
+}
 
-  return '';
+async function deriveEncryptionKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+    'deriveKey'
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
 }
 
-function parseCategoryFromResponseText(text) {
-  if (!text) {
-    return null;
-  }
+async function encryptText(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { alg: 'AES-GCM', iv: encodeBase64(iv), data: encodeBase64(new Uint8Array(data)) };
+}
 
-  const trimmed = text.trim();
-  if (!trimmed) {
-    return null;
-  }
+async function decryptText(key, value) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: decodeBase64(value.iv) }, key, decodeBase64(value.data));
+  return new TextDecoder().decode(data);
+}
 
-  if (trimmed.startsWith('{')) {
-    try {
-      const parsed = JSON.parse(trimmed);
-      if (parsed && typeof parsed.category === 'string') {
-        const normalized = parsed.category.toLowerCase();
-        if (CATEGORY_NAMES.includes(normalized)) {
-          return normalized;
-        }
-      }
-    } catch (error) {
-      logger.debug('Unable to parse category JSON', error);
-    }
+async function loadEncryptionSettings() {
+  const stored = await browserApi.storage.local.get({ [ENCRYPTION_SETTINGS_KEY]: null });
+  const settings = stored[ENCRYPTION_SETTINGS_KEY];
+  if (!isPlainObject(settings) || settings.enabled !== true || !isEncryptedValue(settings.verifier)) {
+    return { enabled: false };
   }
+  return settings;
+}
 
-  const attributeMatch = trimmed.match(/category\s*[:=]\s*["']?([a-z]+)["']?/i);
-  if (attributeMatch && CATEGORY_NAMES.includes(attributeMatch[1].toLowerCase())) {
-    return attributeMatch[1].toLowerCase();
+async function loadSessionEncryptionKey() {
+  if (encryptionKeyCache || !browserApi.storage?.session) {
+    return encryptionKeyCache;
   }
 
-  const directMatch = CATEGORY_NAMES.find((name) => trimmed.toLowerCase().includes(name));
-  if (directMatch) {
-    return directMatch;
+  const stored = await browserApi.storage.session.get({ [ENCRYPTION_SESSION_KEY]: null });
+  if (typeof stored[ENCRYPTION_SESSION_KEY] !== 'string') {
+    return null;
   }
+  encryptionKeyCache = await crypto.subtle.importKey(
+    'raw',
+    decodeBase64(stored[ENCRYPTION_SESSION_KEY]),
+    'AES-GCM',
+    true,
+    ['encrypt', 'decrypt']
+  );
+  return encryptionKeyCache;
+}
 
-  const firstToken = trimmed.split(/\s+/)[0].toLowerCase().replace(/[^a-z]/g, '');
-  if (CATEGORY_NAMES.includes(firstToken)) {
-    return firstToken;
+async function storeSessionEncryptionKey(key) {
+  encryptionKeyCache = key;
+  // storage.session がないブラウザでは、バックグラウンドが動いている間だけメモリに保持する
+  if (browserApi.storage?.session) {
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await browserApi.storage.session.set({ [ENCRYPTION_SESSION_KEY]: encodeBase64(raw) });
   }
+}
 
-  const regex = new RegExp(`\\b(${CATEGORY_NAMES.join('|')})\\b`, 'i');
-  const regexMatch = trimmed.match(regex);
-  if (regexMatch) {
-    return regexMatch[1].toLowerCase();
+async function clearSessionEncryptionKey() {
+  encryptionKeyCache = null;
+  if (browserApi.storage?.session) {
+    await browserApi.storage.session.remove(ENCRYPTION_SESSION_KEY);
   }
+}
 
-  return null;
+async function isEncryptionLocked() {
+  return (await loadEncryptionSettings()).enabled && !(await loadSessionEncryptionKey());
 }
 
-async function classifyHistoryEntryCategory({ title, bodyText, visualTrend, layoutHighlights }, apiKey) {
-  if (!apiKey) {
-    return null;
+// 平文ならそのまま返し、暗号化済みでロック中・復号できない場合は null を返す
+async function revealSecret(value) {
+  if (!isEncryptedValue(value)) {
+    return value;
   }
 
-  const truncatedBody = truncateText(bodyText || '', 1200);
-  const visualTrendSummary = visualTrend || '情報なし';
-  const layoutHighlightsSummary = layoutHighlights || '情報なし';
-  const prompt = `このページのカテゴリを次のいずれかから最もふさわしいものを1つ選んでください: ${CATEGORY_NAMES.join(
-    ', '
-  )}。JSON形式で{"category":"選んだカテゴリ"}として返し、必要なら短い説明を続けてください。ページ情報:\nタイトル: ${title ||
-    '不明'}\nヒューリスティック要約: ${visualTrendSummary}\nレイアウト情報: ${layoutHighlightsSummary}\n本文抜粋: ${truncatedBody}`;
-
+  const key = await loadSessionEncryptionKey();
+  if (!key) {
+    logger.debug('Encrypted value is locked');
+    return null;
+  }
   try {
-    const response = await fetch('https://api.openai.com/v1/responses', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL_NAME,
-        input: [
-          {
-            role: 'system',
-            content:
-              'You are a personalization assistant. Always pick a single predefined category keyword and explain why the page belongs there.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_output_tokens: 150
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI request failed with status ${response.status}`);
-    }
-
-    const result = await response.json();
-    const text = extractOpenAiResponseText(result);
-    return parseCategoryFromResponseText(text);
+    return await decryptText(key, value);
   } catch (error) {
-    logger.warn('OpenAI history categorization failed', error);
+    logger.warn('Failed to decrypt stored value', error);
     return null;
   }
 }
 
-async function analyzeHistoryEntry(historyItem) {
-  const { url } = historyItem;
-  let bodyText = '';
-  let title = historyItem.title || '';
-  let documentMetrics = {
-    headingCount: 0,
-    paragraphCount: 0,
-    imageCount: 0,
-    averageParagraphLength: 0,
-    textToImageRatio: 0
-  };
-
-  try {
-    const response = await fetch(url, { method: 'GET' });
-    if (response.ok) {
-      const html = await response.text();
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
-      title = doc.title || title;
-      const textContent = doc.body ? doc.body.textContent || '' : '';
-      bodyText = textContent.replace(/\s+/g, ' ').trim();
+async function sealSecret(value) {
+  if (typeof value !== 'string' || !value || !(await loadEncryptionSettings()).enabled) {
+    return value;
+  }
 
-      const headings = doc.querySelectorAll('h1, h2, h3, h4, h5, h6');
-      const paragraphs = doc.querySelectorAll('p');
-      const images = doc.querySelectorAll('img');
-      const paragraphsLength = Array.from(paragraphs).map((p) => (p.textContent || '').trim().length);
-      const totalParagraphLength = paragraphsLength.reduce((acc, length) => acc + length, 0);
+  const key = await loadSessionEncryptionKey();
+  if (!key) {
+    throw new Error('locked');
+  }
+  return encryptText(key, value);
+}
 
-      documentMetrics = {
-        headingCount: headings.length,
-        paragraphCount: paragraphs.length,
-        imageCount: images.length,
-        averageParagraphLength: paragraphsLength.length ? totalParagraphLength / paragraphsLength.length : 0,
-        textToImageRatio: images.length ? paragraphs.length / images.length : paragraphs.length
-      };
+async function encryptRecordFields(record, key) {
+  let sealed = record;
+  for (const field of ENCRYPTED_RECORD_FIELDS) {
+    if (typeof record[field] === 'string' && record[field]) {
+      // ロック中は平文で残さず、抜粋そのものを保存しない
+      sealed = { ...sealed, [field]: key ? await encryptText(key, record[field]) : undefined };
+    }
+  }
+  // 操作ログの meta の文字列（選択した文字列やクリックした要素のラベル）も暗号化し、数値はそのまま集計に使う
+  if (isPlainObject(record.meta)) {
+    for (const [name, value] of Object.entries(record.meta)) {
+      if (typeof value === 'string' && value) {
+        sealed = { ...sealed, meta: { ...sealed.meta, [name]: key ? await encryptText(key, value) : undefined } };
+      }
     }
-  } catch (error) {
-    logger.warn('Failed to fetch or parse history page for analysis', url, error);
   }
+  return sealed;
+}
 
-  const origin = (() => {
+async function decryptRecordFields(record, key) {
+  const open = async (field, value) => {
     try {
-      return new URL(url).origin;
+      return key ? await decryptText(key, value) : undefined;
     } catch (error) {
-      logger.warn('Unable to resolve origin for url', url, error);
-      return url;
+      logger.warn('Failed to decrypt record field', field, error);
+      return undefined;
     }
-  })();
-
-  const visualTrend = buildVisualTrendDescription({
-    dominantColor: '不明',
-    primaryFont: '不明',
-    baseFontSize: '不明',
-    textDensity: bodyText ? Math.min(bodyText.length / 5000, 1) : 0,
-    imageCount: documentMetrics.imageCount,
-    layoutStyle: documentMetrics.headingCount > 5 ? '情報量の多い構成' : 'シンプルな構成'
-  });
-
-  const layoutHighlights = summarizeStructureMetrics(documentMetrics);
-  const openAiKey = await loadOpenAiApiKey();
-  const aiCategory = await classifyHistoryEntryCategory(
-    { title, bodyText, visualTrend, layoutHighlights },
-    openAiKey
-  );
-  const category = aiCategory || detectCategoryFromText(title, bodyText);
+  };
 
-  let llmSummary;
-  try {
-    llmSummary = await runGpt5VisualSummary({
-      title,
-      bodyText,
-      visualTrend,
-      layoutHighlights
-    }, openAiKey);
-  } catch (error) {
-    logger.warn('LLM summary failed for history entry', url, error);
+  let opened = record;
+  for (const field of ENCRYPTED_RECORD_FIELDS) {
+    if (isEncryptedValue(record[field])) {
+      opened = { ...opened, [field]: await open(field, record[field]) };
+    }
   }
+  if (isPlainObject(record.meta)) {
+    for (const [name, value] of Object.entries(record.meta)) {
+      if (isEncryptedValue(value)) {
+        opened = { ...opened, meta: { ...opened.meta, [name]: await open(`meta.${name}`, value) } };
+      }
+    }
+  }
+  return opened;
+}
 
-  const record = {
-    url,
-    origin,
-    source: 'history',
-    title,
-    extractedAt: Date.now(),
-    visualTrend: llmSummary?.visualTrend || visualTrend,
-    layoutHighlights,
-    category,
-    textSample: truncateText(bodyText, 2000),
-    context: {
-      visitCount: historyItem.visitCount || 0,
-      lastVisitTime: historyItem.lastVisitTime || Date.now()
-    },
-    rawLLMResponse: llmSummary?.raw
-  };
-
-  await savePageFeature(record);
+async function sealStoredText(value) {
+  // 暗号化が有効なら暗号化し、ロック中は平文で残さないよう空にする
+  if (!isNonEmptyString(value) || !(await loadEncryptionSettings()).enabled) {
+    return value;
+  }
+  const key = await loadSessionEncryptionKey();
+  return key ? encryptText(key, value) : '';
 }
 
-async function runGpt5VisualSummary({ title, bodyText, visualTrend, layoutHighlights }, apiKey) {
-  const key = apiKey || (await loadOpenAiApiKey());
-  if (!key) {
-    return null;
+async function sealRecordFields(record) {
+  if (!(await loadEncryptionSettings()).enabled) {
+    return record;
   }
+  return encryptRecordFields(record, await loadSessionEncryptionKey());
+}
 
-  const prompt = `以下のページ情報から、画面全体の傾向を150文字以内で要約してください。\n` +
-    `タイトル: ${title || '不明'}\n` +
-    `ヒューリスティック要約: ${visualTrend || '情報なし'}\n` +
-    `レイアウト情報: ${layoutHighlights || '情報なし'}\n` +
-    `本文抜粋: ${truncateText(bodyText || '', 800)}`;
+async function openRecordFields(record) {
+  return decryptRecordFields(record, await loadSessionEncryptionKey());
+}
 
-  try {
-    const response = await fetch('https://api.openai.com/v1/responses', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${key}`
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL_NAME,
-        input: [
-          {
-            role: 'system',
-            content: 'You are a UX trend analyst who summarizes visual and layout characteristics for personalization systems.'
-          },
-          { role: 'user', content: prompt }
-        ],
-        max_output_tokens: 300
-      })
-    });
+async function transformStoredSecrets(transform) {
+  const stored = await browserApi.storage.local.get({
+    [OPENAI_KEY_STORAGE_KEY]: null,
+    [LLM_PROVIDER_SETTINGS_KEY]: null,
+    [SYNC_SETTINGS_KEY]: null,
+    [CLICK_REGIONS_KEY]: {},
+    [PAGE_STATS_KEY]: {}
+  });
 
-    if (!response.ok) {
-      throw new Error(`OpenAI request failed with status ${response.status}`);
+  const updates = {};
+  if (stored[OPENAI_KEY_STORAGE_KEY]) {
+    updates[OPENAI_KEY_STORAGE_KEY] = await transform(stored[OPENAI_KEY_STORAGE_KEY]);
+  }
+  const providerSettings = stored[LLM_PROVIDER_SETTINGS_KEY];
+  if (isPlainObject(providerSettings?.providers)) {
+    const providers = {};
+    for (const [id, provider] of Object.entries(providerSettings.providers)) {
+      providers[id] = provider?.apiKey ? { ...provider, apiKey: await transform(provider.apiKey) } : provider;
     }
+    updates[LLM_PROVIDER_SETTINGS_KEY] = { ...providerSettings, providers };
+  }
+  if (stored[SYNC_SETTINGS_KEY]?.token) {
+    updates[SYNC_SETTINGS_KEY] = { ...stored[SYNC_SETTINGS_KEY], token: await transform(stored[SYNC_SETTINGS_KEY].token) };
+  }
+  // クリックした要素のラベルはページの文言そのものなので、API キーと同じく暗号化の対象にする
+  const clickRegions = {};
+  for (const [origin, entries] of Object.entries(stored[CLICK_REGIONS_KEY])) {
+    clickRegions[origin] = {};
+    for (const [selector, entry] of Object.entries(entries || {})) {
+      clickRegions[origin][selector] = entry?.label ? { ...entry, label: (await transform(entry.label)) || '' } : entry;
+    }
+  }
+  updates[CLICK_REGIONS_KEY] = clickRegions;
+  // 以前の版が最終操作に残していた文字列は捨てる
+  const stats = {};
+  for (const [origin, entry] of Object.entries(stored[PAGE_STATS_KEY])) {
+    stats[origin] = entry?.lastInteraction
+      ? { ...entry, lastInteraction: { ...entry.lastInteraction, meta: pickFiniteNumbers(entry.lastInteraction.meta) } }
+      : entry;
+  }
+  updates[PAGE_STATS_KEY] = stats;
 
-    const result = await response.json();
-    const text = extractOpenAiResponseText(result);
+  if (Object.keys(updates).length) {
+    await browserApi.storage.local.set(updates);
+  }
+}
 
-    if (!text) {
-      return null;
+async function transformStoredRecords(transform) {
+  let total = 0;
+  for (const storeName of [PAGE_FEATURE_STORE, INTERACTION_STORE]) {
+    const updated = [];
+    for (const record of await getAllFromStore(storeName)) {
+      const next = await transform(record);
+      if (next !== record) {
+        updated.push(next);
+      }
     }
 
-    return {
-      visualTrend: truncateText(text, 400),
-      raw: JSON.stringify(result)
-    };
+    // 暗号処理の await を挟むとトランザクションが閉じるため、変換を終えてからまとめて書き込む
+    if (updated.length) {
+      await withStore(storeName, 'readwrite', (store) => {
+        for (const record of updated) {
+          store.put(record);
+        }
+      });
+    }
+    total += updated.length;
+  }
+  return total;
+}
+
+async function verifyPassphrase(passphrase, settings) {
+  const key = await deriveEncryptionKey(passphrase, decodeBase64(settings.salt), settings.iterations);
+  try {
+    await decryptText(key, settings.verifier);
+    return key;
   } catch (error) {
-    logger.warn('OpenAI visual summary failed', error);
     return null;
   }
 }
 
-async function gatherHistoryProfileSummary(limit = 5) {
-  const storage = await browserApi.storage.local.get({
-    [PAGE_STATS_KEY]: {},
-    [PAGE_PREFERENCES_KEY]: {}
+async function enableEncryption(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < ENCRYPTION_MIN_PASSPHRASE_LENGTH) {
+    throw new Error('passphrase-too-short');
+  }
+  if ((await loadEncryptionSettings()).enabled) {
+    throw new Error('already-enabled');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveEncryptionKey(passphrase, salt, ENCRYPTION_PBKDF2_ITERATIONS);
+  await browserApi.storage.local.set({
+    [ENCRYPTION_SETTINGS_KEY]: {
+      enabled: true,
+      salt: encodeBase64(salt),
+      iterations: ENCRYPTION_PBKDF2_ITERATIONS,
+      verifier: await encryptText(key, ENCRYPTION_VERIFIER_TEXT)
+    }
   });
+  await storeSessionEncryptionKey(key);
 
-  const stats = storage[PAGE_STATS_KEY];
-  const preferences = storage[PAGE_PREFERENCES_KEY];
-  const entries = Object.entries(stats)
-    .map(([origin, meta]) => ({
-      origin,
-      visits: Number.isFinite(meta?.visits) ? meta.visits : 0,
-      lastAction: meta?.lastInteraction?.type || '未収集',
-      preferredColor: preferences[origin]?.highlightColor || '―'
-    }))
-    .sort((a, b) => b.visits - a.visits)
-    .slice(0, limit);
+  await transformStoredSecrets((value) => (typeof value === 'string' ? encryptText(key, value) : value));
+  const records = await transformStoredRecords((record) => encryptRecordFields(record, key));
+  // 平文で保存済みの LLM 応答は暗号化し直さず破棄する
+  await purgeLlmCache();
+  logger.info('Encryption enabled', { records });
+}
 
-  if (entries.length === 0) {
-    return '履歴データが存在しません。';
+async function unlockEncryption(passphrase) {
+  const settings = await loadEncryptionSettings();
+  if (!settings.enabled) {
+    throw new Error('not-enabled');
   }
 
-  return entries
-    .map(
-      (entry, index) =>
-        `${index + 1}. ${entry.origin} — 訪問回数: ${entry.visits}、好みの色: ${entry.preferredColor}、最終操作: ${entry.lastAction}`
-    )
-    .join('\n');
+  const key = await verifyPassphrase(String(passphrase || ''), settings);
+  if (!key) {
+    return false;
+  }
+  await storeSessionEncryptionKey(key);
+  logger.info('Encryption unlocked for this session');
+  return true;
 }
 
-function parseToolbarCustomizationFromResponseText(text) {
-  if (!text) {
-    return null;
+async function disableEncryption(passphrase) {
+  const settings = await loadEncryptionSettings();
+  if (!settings.enabled) {
+    throw new Error('not-enabled');
   }
 
-  const trimmed = text.trim();
-  if (!trimmed) {
-    return null;
+  const key = await verifyPassphrase(String(passphrase || ''), settings);
+  if (!key) {
+    return false;
   }
 
-  const jsonMatch = trimmed.match(/\{[\s\S]*\}/);
-  if (jsonMatch) {
+  await transformStoredSecrets(async (value) => {
+    if (!isEncryptedValue(value)) {
+      return value;
+    }
     try {
-      const parsed = JSON.parse(jsonMatch[0]);
-      if (parsed && typeof parsed.highlightColor === 'string') {
-        return {
-          highlightColor: parsed.highlightColor.trim().toLowerCase(),
-          notes: typeof parsed.notes === 'string' ? parsed.notes.trim() : parsed.reason || ''
-        };
-      }
+      return await decryptText(key, value);
     } catch (error) {
-      logger.debug('Unable to parse customization JSON', error);
+      logger.warn('Dropping secret that cannot be decrypted', error);
+      return null;
     }
-  }
-
-  const hexMatch = trimmed.match(/#[0-9a-f]{3,6}\b/i);
-  if (hexMatch) {
-    return {
-      highlightColor: hexMatch[0].toLowerCase(),
-      notes: ''
-    };
-  }
+  });
+  const records = await transformStoredRecords((record) => decryptRecordFields(record, key));
+  await purgeLlmCache();
+  await browserApi.storage.local.remove(ENCRYPTION_SETTINGS_KEY);
+  await clearSessionEncryptionKey();
+  logger.info('Encryption disabled', { records });
+  return true;
+}
 
-  return null;
+async function describeEncryptionStatus() {
+  const settings = await loadEncryptionSettings();
+  return {
+    enabled: settings.enabled,
+    unlocked: settings.enabled ? Boolean(await loadSessionEncryptionKey()) : false,
+    sessionStorage: Boolean(browserApi.storage?.session)
+  };
 }
 
-async function runGpt5ToolbarCustomization({ pageSnapshot, historySummary }, apiKey) {
-  const key = apiKey || (await loadOpenAiApiKey());
-  if (!key) {
+async function loadOpenAiApiKey() {
+  try {
+    const storage = await browserApi.storage.local.get({ [OPENAI_KEY_STORAGE_KEY]: null });
+    return await revealSecret(storage[OPENAI_KEY_STORAGE_KEY]);
+  } catch (error) {
+    logger.warn('Failed to load OpenAI API key', error);
     return null;
   }
+}
 
-  const metrics = pageSnapshot.metrics || {};
-  const metricLines = [
-    `Dominant color: ${metrics.dominantColor || '不明'}`,
-    `Primary font: ${metrics.primaryFont || '不明'}`,
-    `Base font size: ${metrics.baseFontSize || '不明'}`,
-    typeof metrics.textDensity === 'number'
-      ? `Text density: ${(metrics.textDensity * 100).toFixed(1)}%`
-      : 'Text density: 不明',
-    `Images: ${typeof metrics.imageCount === 'number' ? metrics.imageCount : '不明'}`,
-    `Paragraphs: ${typeof metrics.paragraphCount === 'number' ? metrics.paragraphCount : '不明'}`
-  ];
-
-  const prompt = `あなたはパーソナライズ拡張の視覚修正アドバイザーです。次の情報をもとに、現在のページで使うべきハイライトカラーを選び、簡単に理由を添えてJSONで返してください。JSONは{"highlightColor":"#rrggbb","notes":"..."}という形にしてください。
-ページタイトル: ${pageSnapshot.title || '不明'}
-カテゴリ: ${pageSnapshot.category || '不明'}
-ビジュアル傾向: ${pageSnapshot.visualTrend || '不明'}
-レイアウト情報: ${pageSnapshot.layoutHighlights || '不明'}
-メトリクス:
-${metricLines.join('\n')}
-ビューポート要約: ${pageSnapshot.viewportSummary || 'なし'}
-ユーザーの過去の傾向:
-${historySummary || 'データなし'}
-`;
-
+async function loadLlmCacheTtlMinutes() {
   try {
-    const response = await fetch('https://api.openai.com/v1/responses', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${key}`
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL_NAME,
-        input: [
-          {
-            role: 'system',
-            content: 'You are a UX personalization strategist. Pick one highlight color and explain why it fits.'
-          },
-          { role: 'user', content: prompt }
-        ],
-        max_output_tokens: 200
-      })
-    });
+    const storage = await browserApi.storage.local.get({ [LLM_CACHE_TTL_KEY]: DEFAULT_LLM_CACHE_TTL_MINUTES });
+    const value = Number(storage[LLM_CACHE_TTL_KEY]);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_LLM_CACHE_TTL_MINUTES;
+  } catch (error) {
+    logger.warn('Failed to load LLM cache TTL, using default', error);
+    return DEFAULT_LLM_CACHE_TTL_MINUTES;
+  }
+}
 
-    if (!response.ok) {
-      throw new Error(`OpenAI request failed with status ${response.status}`);
-    }
+async function hashText(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
 
-    const result = await response.json();
-    const text = extractOpenAiResponseText(result);
-    const customization = parseToolbarCustomizationFromResponseText(text);
-    if (!customization) {
-      return null;
-    }
+async function readLlmCache(key) {
+  const entry = await withStore(LLM_CACHE_STORE, 'readonly', (store) => new Promise((resolve, reject) => {
+    const request = store.get(key);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  }));
 
-    return {
-      customization,
-      raw: JSON.stringify(result)
-    };
-  } catch (error) {
-    logger.warn('OpenAI toolbar customization failed', error);
+  if (!entry) {
     return null;
   }
-}
 
-function extractJsonObject(text) {
-  if (!text) {
+  if ((entry.expiresAt || 0) <= Date.now()) {
+    await withStore(LLM_CACHE_STORE, 'readwrite', (store) => {
+      store.delete(key);
+    });
     return null;
   }
 
-  const match = text.match(/\{[\s\S]*\}/);
-  if (!match) {
-    return null;
+  if (!isEncryptedValue(entry.result)) {
+    return entry;
   }
 
+  // 暗号化された応答はロック中・復号できない場合はキャッシュミスとして扱う
+  const encryptionKey = await loadSessionEncryptionKey();
+  if (!encryptionKey) {
+    return null;
+  }
   try {
-    return JSON.parse(match[0]);
+    return { ...entry, result: JSON.parse(await decryptText(encryptionKey, entry.result)) };
   } catch (error) {
-    logger.debug('Unable to parse JSON object', error);
+    logger.warn('Failed to decrypt cached LLM response', error);
     return null;
   }
 }
 
-async function getAllFromIndex(storeName, indexName, key) {
-  // IndexedDB の index 取得はイベント駆動なので Promise に包んで await で使える形にする
-  return withStore(storeName, 'readonly', (store) => new Promise((resolve, reject) => {
-    const index = store.index(indexName);
-    const request = index.getAll(key);
-    request.onsuccess = () => resolve(request.result || []);
+async function writeLlmCache(key, model, result, ttlMinutes) {
+  let storedResult = result;
+  if ((await loadEncryptionSettings()).enabled) {
+    // ロック中は平文の応答を残さないようキャッシュしない
+    const encryptionKey = await loadSessionEncryptionKey();
+    if (!encryptionKey) {
+      return;
+    }
+    storedResult = await encryptText(encryptionKey, JSON.stringify(result));
+  }
+
+  const now = Date.now();
+  await withStore(LLM_CACHE_STORE, 'readwrite', (store) => {
+    store.put({
+      key,
+      model,
+      result: storedResult,
+      createdAt: now,
+      expiresAt: now + ttlMinutes * 60 * 1000
+    });
+  });
+}
+
+async function countLlmCacheEntries() {
+  return withStore(LLM_CACHE_STORE, 'readonly', (store) => new Promise((resolve, reject) => {
+    const request = store.count();
+    request.onsuccess = () => resolve(request.result || 0);
     request.onerror = () => reject(request.error);
   }));
 }
 
-async function getSimilarHistoryEntries(category, currentUrl, limit = 3) {
-  if (!category) {
-    return [];
+async function purgeLlmCache() {
+  const removed = await countLlmCacheEntries();
+  await withStore(LLM_CACHE_STORE, 'readwrite', (store) => {
+    store.clear();
+  });
+  llmCacheStats.hits = 0;
+  llmCacheStats.misses = 0;
+  logger.info('LLM cache purged', removed);
+  return removed;
+}
+
+function extractOpenAiResponseText(result) {
+  if (!result) {
+    return '';
   }
 
-  try {
-    const entries = await getAllFromIndex(PAGE_FEATURE_STORE, 'byCategory', category);
-    return entries
-      .filter((entry) => entry?.url && entry.url !== currentUrl)
-      .sort((a, b) => (b.extractedAt || 0) - (a.extractedAt || 0))
-      .slice(0, limit);
-  } catch (error) {
-    logger.warn('Failed to load similar history entries', category, error);
-    return [];
+  if (Array.isArray(result.output)) {
+    for (const outputPart of result.output) {
+      if (!outputPart?.content) {
+        continue;
+      }
+      for (const contentPart of outputPart.content) {
+        if (typeof contentPart?.text === 'string' && contentPart.text.trim()) {
+          return contentPart.text.trim();
+        }
+      }
+    }
   }
-}
 
-function summarizeHistoryEntries(entries) {
-  if (!entries.length) {
-    return '該当履歴なし';
+  if (Array.isArray(result.choices)) {
+    for (const choice of result.choices) {
+      const message = choice?.message?.content;
+      if (typeof message === 'string' && message.trim()) {
+        return message.trim();
+      }
+    }
   }
 
-  return entries
-    .map((entry, index) => {
-      const title = entry.title || entry.url || '不明';
-      const trend = entry.visualTrend || entry.layoutHighlights || '情報なし';
-      return `${index + 1}. ${title} (${entry.category || '不明'}) - ${trend}`;
-    })
-    .join('\n');
+  return '';
 }
 
-async function getRecentInteractionLogs(url, origin, limit = 20) {
-  if (!url && !origin) {
-    return [];
-  }
-
-  const byUrl = url ? await getAllFromIndex(INTERACTION_STORE, 'byUrl', url) : [];
-  if (byUrl.length) {
-    return byUrl.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)).slice(0, limit);
+function extractAnthropicResponseText(result) {
+  if (!Array.isArray(result?.content)) {
+    return '';
   }
 
-  if (!origin) {
-    return [];
-  }
+  return result.content
+    .filter((part) => part?.type === 'text' && typeof part.text === 'string')
+    .map((part) => part.text)
+    .join('')
+    .trim();
+}
 
-  const byOrigin = await getAllFromIndex(INTERACTION_STORE, 'byOrigin', origin);
-  return byOrigin.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)).slice(0, limit);
+// OpenAI の推論モデル（gpt-5 系・o 系）は temperature を指定すると要求ごと拒否するため送らない
+function supportsTemperature(model) {
+  const name = String(model || '').split('/').pop().toLowerCase();
+  return !/^(o\d+|gpt-5)(?!.*-chat)/.test(name);
 }
 
-function buildInteractionSummary(logs) {
-  if (!logs.length) {
-    return '操作ログなし';
+function buildChatCompletionsRequest(
+  { baseUrl, model, apiKey },
+  { system, prompt, maxOutputTokens, temperature, responseFormat }
+) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
   }
 
-  const summary = {
-    total: logs.length,
-    scrollCount: 0,
-    maxScrollY: 0,
-    clickCount: 0,
-    zoomCount: 0,
-    maxZoom: 1,
-    selectionCount: 0,
-    avgSelectionLength: 0
+  return {
+    url: `${baseUrl}/chat/completions`,
+    headers,
+    body: {
+      model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: maxOutputTokens,
+      ...(typeof temperature === 'number' && supportsTemperature(model) ? { temperature } : {}),
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: true }
+      }
+    }
   };
+}
 
-  let totalSelectionLength = 0;
-
-  for (const log of logs) {
-    switch (log.actionType) {
-      case 'scroll':
-        summary.scrollCount += 1;
-        summary.maxScrollY = Math.max(summary.maxScrollY, log.meta?.scrollY || 0);
-        break;
-      case 'click':
-        summary.clickCount += 1;
-        break;
-      case 'zoom':
-        summary.zoomCount += 1;
-        summary.maxZoom = Math.max(summary.maxZoom, log.meta?.scale || 1);
-        break;
-      case 'text-selection':
-        summary.selectionCount += 1;
-        totalSelectionLength += log.meta?.length || 0;
-        break;
-      default:
-        break;
-    }
+// プロバイダーごとのリクエスト形式と応答の取り出し方をここに集約する
+const LLM_PROVIDERS = {
+  'openai-responses': {
+    label: 'OpenAI Responses',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: OPENAI_MODEL_NAME,
+    requiresApiKey: true,
+    buildRequest({ baseUrl, model, apiKey }, { system, prompt, maxOutputTokens, temperature, responseFormat }) {
+      return {
+        url: `${baseUrl}/responses`,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${apiKey}`
+        },
+        body: {
+          model,
+          input: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+          ],
+          max_output_tokens: maxOutputTokens,
+          ...(typeof temperature === 'number' && supportsTemperature(model) ? { temperature } : {}),
+          text: {
+            format: {
+              type: 'json_schema',
+              name: responseFormat.name,
+              schema: responseFormat.schema,
+              strict: true
+            }
+          }
+        }
+      };
+    },
+    extractText: extractOpenAiResponseText
+  },
+  'openai-chat': {
+    label: 'OpenAI 互換 Chat Completions',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: OPENAI_MODEL_NAME,
+    requiresApiKey: true,
+    buildRequest: buildChatCompletionsRequest,
+    extractText: extractOpenAiResponseText
+  },
+  local: {
+    // Ollama / llama.cpp の OpenAI 互換エンドポイントを想定し、API キーは任意
+    label: 'ローカルサーバー (Ollama / llama.cpp)',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    defaultModel: 'llama3.1',
+    requiresApiKey: false,
+    buildRequest: buildChatCompletionsRequest,
+    extractText: extractOpenAiResponseText
+  },
+  'anthropic-messages': {
+    label: 'Anthropic Messages',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-3-5-haiku-latest',
+    requiresApiKey: true,
+    buildRequest({ baseUrl, model, apiKey }, { system, prompt, maxOutputTokens, temperature, responseFormat }) {
+      // Messages API には JSON スキーマ指定がないため、システムプロンプトでスキーマを明示する
+      return {
+        url: `${baseUrl}/messages`,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: {
+          model,
+          system: `${system}\nRespond with a single JSON object (no prose, no code fences) that matches this JSON schema:\n${JSON.stringify(
+            responseFormat.schema
+          )}`,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: maxOutputTokens,
+          // Anthropic の temperature は 0〜1 の範囲なので上限を丸める
+          ...(typeof temperature === 'number' ? { temperature: Math.min(temperature, 1) } : {})
+        }
+      };
+    },
+    extractText: extractAnthropicResponseText
   }
+};
 
-  summary.avgSelectionLength = summary.selectionCount
-    ? Math.round(totalSelectionLength / summary.selectionCount)
-    : 0;
-
-  return [
-    `総操作数: ${summary.total}`,
-    `スクロール回数: ${summary.scrollCount}`,
-    `最大スクロール: ${summary.maxScrollY}px`,
-    `クリック回数: ${summary.clickCount}`,
-    `ズーム回数: ${summary.zoomCount}`,
-    `最大ズーム: ${summary.maxZoom}`,
-    `選択回数: ${summary.selectionCount}`,
-    `平均選択長: ${summary.avgSelectionLength}文字`
-  ].join(' / ');
+function normalizeBaseUrl(value, fallback) {
+  const candidate = typeof value === 'string' && value.trim() ? value.trim() : fallback;
+  return candidate.replace(/\/+$/, '');
 }
 
-async function runGpt5PageCustomizationProposal({ pageSnapshot, historySummary, interactionSummary }, apiKey) {
-  const key = apiKey || (await loadOpenAiApiKey());
-  if (!key) {
-    return null;
+async function loadLlmProviderConfig(providerId) {
+  let settings = {};
+  try {
+    const storage = await browserApi.storage.local.get({ [LLM_PROVIDER_SETTINGS_KEY]: {} });
+    settings = storage[LLM_PROVIDER_SETTINGS_KEY] || {};
+  } catch (error) {
+    logger.warn('Failed to load LLM provider settings, using defaults', error);
   }
 
-  // AI には分析→類推→提案のステップを明示し、返却フォーマットを固定してパースしやすくする
-  const prompt = `あなたはパーソナライズ拡張のAIエージェントです。\n` +
-    `1. 現在のページを分析\n` +
-    `2. 類似ページ傾向から類推\n` +
-    `3. 操作ログから変更方針を提案\n` +
-    `以下の情報に基づき、JSONで返答してください。\n` +
-    `フォーマット: {\"proposal\":\"...\",\"rationale\":\"...\",\"changePlan\":[\"...\"]}\n` +
-    `ページタイトル: ${pageSnapshot.title || '不明'}\n` +
-    `カテゴリ: ${pageSnapshot.category || '不明'}\n` +
-    `ビジュアル傾向: ${pageSnapshot.visualTrend || '不明'}\n` +
-    `レイアウト情報: ${pageSnapshot.layoutHighlights || '不明'}\n` +
-    `スタイル要約: ${pageSnapshot.styleSummary || '不明'}\n` +
-    `ビューポート要約: ${pageSnapshot.viewportSummary || '不明'}\n` +
-    `類似ページ履歴:\n${historySummary}\n` +
-    `操作ログ要約:\n${interactionSummary}\n`;
+  // providerId を指定したときは、選択中かどうかに関係なくそのプロバイダーの保存値を返す
+  const requestedId = providerId || settings.activeProvider;
+  const id = LLM_PROVIDERS[requestedId] ? requestedId : DEFAULT_LLM_PROVIDER_ID;
+  const definition = LLM_PROVIDERS[id];
+  const stored = settings.providers?.[id] || {};
 
-  try {
-    const response = await fetch('https://api.openai.com/v1/responses', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${key}`
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL_NAME,
-        input: [
-          {
-            role: 'system',
-            content: 'You are a UX personalization agent. Provide a concise proposal and rationale.'
-          },
-          { role: 'user', content: prompt }
-        ],
-        max_output_tokens: 300
-      })
-    });
+  return {
+    id,
+    baseUrl: normalizeBaseUrl(stored.baseUrl, definition.defaultBaseUrl),
+    model: typeof stored.model === 'string' && stored.model.trim() ? stored.model.trim() : definition.defaultModel,
+    // OpenAI Responses は従来どおり専用キーに保存された API キーを使う
+    apiKey: id === DEFAULT_LLM_PROVIDER_ID ? await loadOpenAiApiKey() : (await revealSecret(stored.apiKey)) || null
+  };
+}
 
-    if (!response.ok) {
-      throw new Error(`OpenAI request failed with status ${response.status}`);
-    }
+function describeLlmProviders() {
+  return Object.entries(LLM_PROVIDERS).map(([id, definition]) => ({
+    id,
+    label: definition.label,
+    defaultBaseUrl: definition.defaultBaseUrl,
+    defaultModel: definition.defaultModel,
+    requiresApiKey: definition.requiresApiKey
+  }));
+}
 
-    const result = await response.json();
-    const text = extractOpenAiResponseText(result);
-    const parsed = extractJsonObject(text);
-    if (!parsed) {
-      return null;
-    }
+function isLlmProviderReady(provider) {
+  const definition = provider ? LLM_PROVIDERS[provider.id] : null;
+  if (!definition) {
+    return false;
+  }
+
+  return !definition.requiresApiKey || Boolean(provider.apiKey);
+}
 
+async function readLlmErrorDetail(response) {
+  try {
+    const body = await response.json();
+    // OpenAI は error.code、Anthropic は error.type にエラー種別が入る
     return {
-      proposal: typeof parsed.proposal === 'string' ? parsed.proposal.trim() : '',
-      rationale: typeof parsed.rationale === 'string' ? parsed.rationale.trim() : '',
-      changePlan: Array.isArray(parsed.changePlan) ? parsed.changePlan : [],
-      raw: JSON.stringify(result)
+      code: body?.error?.code || body?.error?.type || null,
+      message: typeof body?.error?.message === 'string' ? body.error.message : ''
     };
   } catch (error) {
-    logger.warn('OpenAI page proposal failed', error);
-    return null;
+    return { code: null, message: '' };
   }
 }
 
-async function runGpt5PageCss({ pageSnapshot, proposal }, apiKey) {
-  const key = apiKey || (await loadOpenAiApiKey());
-  if (!key) {
-    return null;
+function classifyLlmConnectionError(status, detail) {
+  if (status === 401) {
+    return 'invalid-key';
+  }
+  if (status === 403) {
+    return 'forbidden';
+  }
+  if (status === 404 || detail.code === 'model_not_found') {
+    return 'model-unavailable';
   }
+  if (status === 429) {
+    return detail.code === 'insufficient_quota' ? 'quota-exceeded' : 'rate-limited';
+  }
+  if (status >= 500) {
+    return 'server-error';
+  }
+  return 'request-failed';
+}
 
-  // CSSのみ返させて危険な構文を避けることで、適用時の安全性を担保する
-  const prompt = `次のページに対し、提案に沿ったCSSのみを出力してください。\n` +
-    `制約: @importは禁止。bodyやmain、section、h1-h3、p、a、buttonなど一般的な要素へのスタイル変更のみ。` +
-    `display:noneで主要コンテンツを隠さない。\n` +
-    `提案: ${proposal || '不明'}\n` +
-    `HTML抜粋:\n${pageSnapshot.domSnippet || 'なし'}\n` +
-    `現在のスタイル要約:\n${pageSnapshot.styleSummary || '不明'}\n`;
+// 保存済みの設定に、オプション画面で入力中の値（空欄以外）を重ねて最小限のリクエストを送る
+async function testLlmConnection({ providerId, baseUrl, model, apiKey } = {}) {
+  const saved = await loadLlmProviderConfig(providerId);
+  const definition = LLM_PROVIDERS[saved.id];
+  const provider = {
+    ...saved,
+    baseUrl: normalizeBaseUrl(baseUrl, saved.baseUrl),
+    model: typeof model === 'string' && model.trim() ? model.trim() : saved.model,
+    apiKey: typeof apiKey === 'string' && apiKey.trim() ? apiKey.trim() : saved.apiKey
+  };
+  const summary = { provider: definition.label, model: provider.model };
 
-  try {
-    const response = await fetch('https://api.openai.com/v1/responses', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${key}`
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL_NAME,
-        input: [
-          {
-            role: 'system',
-            content: 'You generate safe CSS overrides to personalize a page. Output CSS only.'
-          },
-          { role: 'user', content: prompt }
-        ],
-        max_output_tokens: 400
-      })
-    });
+  if (!isLlmProviderReady(provider)) {
+    return { ok: false, code: (await isEncryptionLocked()) ? 'secrets-locked' : 'missing-key', ...summary };
+  }
 
-    if (!response.ok) {
-      throw new Error(`OpenAI request failed with status ${response.status}`);
+  const request = definition.buildRequest(provider, {
+    system: 'You are a connectivity check.',
+    prompt: 'Return {"ok": true}.',
+    maxOutputTokens: 32,
+    responseFormat: {
+      name: 'connection_test',
+      schema: {
+        type: 'object',
+        properties: { ok: { type: 'boolean' } },
+        required: ['ok'],
+        additionalProperties: false
+      }
     }
+  });
 
-    const result = await response.json();
-    const text = extractOpenAiResponseText(result);
-    return text || null;
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body)
+    });
   } catch (error) {
-    logger.warn('OpenAI page CSS generation failed', error);
-    return null;
+    logger.warn('LLM connection test failed to reach the endpoint', request.url, error);
+    return { ok: false, code: 'network', message: error?.message || String(error), ...summary };
+  }
+
+  if (!response.ok) {
+    const detail = await readLlmErrorDetail(response);
+    logger.warn('LLM connection test failed', response.status, detail);
+    return {
+      ok: false,
+      code: classifyLlmConnectionError(response.status, detail),
+      status: response.status,
+      message: detail.message,
+      ...summary
+    };
   }
+
+  return { ok: true, latencyMs: Date.now() - startedAt, ...summary };
 }
 
-async function analyzeRecentHistory() {
-  if (!browserApi.history || typeof browserApi.history.search !== 'function') {
-    logger.warn('History API unavailable');
+const actionApi = browserApi.action || browserApi.browserAction;
+
+// API キーが未設定（またはロック中）のときはツールバーボタンにバッジを出して設定を促す
+async function updateSetupBadge() {
+  if (!actionApi?.setBadgeText) {
     return;
   }
 
   try {
-    const historyItems = await browserApi.history.search({ text: '', maxResults: 100, startTime: 0 });
-    const domainMap = new Map();
-
-    for (const item of historyItems) {
-      if (!item.url) {
-        continue;
-      }
+    const ready = isLlmProviderReady(await loadLlmProviderConfig());
+    const locked = !ready && (await isEncryptionLocked());
+    await actionApi.setBadgeText({ text: ready ? '' : '!' });
+    if (!ready) {
+      await actionApi.setBadgeBackgroundColor({ color: '#d93025' });
+    }
+    await actionApi.setTitle({
+      title: ready
+        ? 'Personalize page'
+        : locked
+          ? 'API キーがロックされています。設定画面でロックを解除してください'
+          : 'API キーが未設定です。設定画面で登録してください'
+    });
+  } catch (error) {
+    logger.warn('Failed to update setup badge', error);
+  }
+}
 
-      let origin;
-      try {
-        origin = new URL(item.url).origin;
-      } catch (error) {
-        origin = item.url;
-      }
+updateSetupBadge();
 
-      const stored = domainMap.get(origin);
-      if (!stored || (item.lastVisitTime || 0) > (stored.lastVisitTime || 0)) {
-        domainMap.set(origin, item);
-      }
+if (browserApi.storage?.onChanged) {
+  browserApi.storage.onChanged.addListener((changes, areaName) => {
+    const watchedKeys = [OPENAI_KEY_STORAGE_KEY, LLM_PROVIDER_SETTINGS_KEY, ENCRYPTION_SETTINGS_KEY, ENCRYPTION_SESSION_KEY];
+    if ((areaName === 'local' || areaName === 'session') && watchedKeys.some((key) => key in changes)) {
+      updateSetupBadge();
     }
+  });
+}
 
-    const analyses = [];
-    for (const item of domainMap.values()) {
-      analyses.push(analyzeHistoryEntry(item));
+// 各タスクの応答は JSON スキーマで形式を固定し、受信後も同じスキーマで検証する
+const LLM_TASKS = {
+  categorization: {
+    label: '履歴のカテゴリ分類',
+    defaultMaxOutputTokens: 150,
+    responseSchema: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', enum: CATEGORY_NAMES },
+        reason: { type: 'string' }
+      },
+      required: ['category', 'reason'],
+      additionalProperties: false
+    }
+  },
+  visualSummary: {
+    label: 'ビジュアル傾向の要約',
+    defaultMaxOutputTokens: 300,
+    responseSchema: {
+      type: 'object',
+      properties: {
+        visualTrend: { type: 'string' }
+      },
+      required: ['visualTrend'],
+      additionalProperties: false
+    }
+  },
+  toolbarColor: {
+    label: 'ハイライト色の選定',
+    defaultMaxOutputTokens: 200,
+    responseSchema: {
+      type: 'object',
+      properties: {
+        highlightColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+        notes: { type: 'string' }
+      },
+      required: ['highlightColor', 'notes'],
+      additionalProperties: false
+    }
+  },
+  proposal: {
+    label: '変更方針の提案',
+    defaultMaxOutputTokens: 300,
+    responseSchema: {
+      type: 'object',
+      properties: {
+        proposal: { type: 'string' },
+        rationale: { type: 'string' },
+        changePlan: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['proposal', 'rationale', 'changePlan'],
+      additionalProperties: false
+    }
+  },
+  cssGeneration: {
+    label: 'CSS 生成',
+    defaultMaxOutputTokens: 400,
+    responseSchema: {
+      type: 'object',
+      properties: {
+        css: { type: 'string' }
+      },
+      required: ['css'],
+      additionalProperties: false
     }
-
-    await Promise.allSettled(analyses);
-  } catch (error) {
-    logger.error('Failed to analyze recent history', error);
   }
-}
+};
 
-async function buildDiagnosticsSnapshot() {
-  const storage = await browserApi.storage.local.get({
-    [PAGE_STATS_KEY]: {},
-    [PAGE_PREFERENCES_KEY]: {}
-  });
+function sanitizeLlmTaskSettings(settings) {
+  const sanitized = {};
+  for (const [task, definition] of Object.entries(LLM_TASKS)) {
+    const incoming = settings && typeof settings === 'object' ? settings[task] || {} : {};
+    const model = typeof incoming.model === 'string' ? incoming.model.trim().slice(0, 100) : '';
+    const maxOutputTokens = Number(incoming.maxOutputTokens);
+    const temperature = incoming.temperature === '' || incoming.temperature === null ? NaN : Number(incoming.temperature);
+
+    sanitized[task] = {
+      model,
+      maxOutputTokens:
+        Number.isInteger(maxOutputTokens) &&
+        maxOutputTokens >= LLM_MAX_OUTPUT_TOKENS_RANGE.min &&
+        maxOutputTokens <= LLM_MAX_OUTPUT_TOKENS_RANGE.max
+          ? maxOutputTokens
+          : definition.defaultMaxOutputTokens,
+      temperature:
+        Number.isFinite(temperature) &&
+        temperature >= LLM_TEMPERATURE_RANGE.min &&
+        temperature <= LLM_TEMPERATURE_RANGE.max
+          ? temperature
+          : null
+    };
+  }
 
-  const stats = storage[PAGE_STATS_KEY];
-  const preferences = storage[PAGE_PREFERENCES_KEY];
+  return sanitized;
+}
 
-  const snapshot = {
-    queueLength: taskQueue.length,
-    processing,
-    debugMode: logger.isDebugEnabled(),
-    trackedPages: Object.keys(stats).length,
-    pagesWithPreferences: Object.keys(preferences).length,
-    timestamp: Date.now()
-  };
+async function loadLlmTaskSettings(task) {
+  let stored = {};
+  try {
+    const storage = await browserApi.storage.local.get({ [LLM_TASK_SETTINGS_KEY]: {} });
+    stored = storage[LLM_TASK_SETTINGS_KEY];
+  } catch (error) {
+    logger.warn('Failed to load LLM task settings, using defaults', error);
+  }
 
-  logger.debug('Diagnostics snapshot created', snapshot);
-  return snapshot;
+  return sanitizeLlmTaskSettings(stored)[task];
 }
 
-async function setDebugModePreference(enabled) {
-  await browserApi.storage.local.set({ [DEBUG_MODE_KEY]: Boolean(enabled) });
-  logger.info('Debug mode preference stored', enabled);
+function describeLlmTasks() {
+  return Object.entries(LLM_TASKS).map(([id, definition]) => ({
+    id,
+    label: definition.label,
+    defaultMaxOutputTokens: definition.defaultMaxOutputTokens
+  }));
 }
 
-async function handlePageAnalysis(analysis) {
-  const { valid, sanitized, reason } = validatePageAnalysisPayload(analysis);
-  if (!valid) {
-    logger.warn('Discarded page analysis payload', reason, analysis);
-    return;
-  }
+function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
 
-  const origin = (() => {
-    try {
-      return new URL(sanitized.url).origin;
-    } catch (error) {
-      logger.warn('Fallback origin used for analysis URL', sanitized.url, error);
-      return sanitized.url;
-    }
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path}: expected object`);
+        break;
+      }
+      for (const key of schema.required || []) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+          errors.push(`${path}.${key}: missing required property`);
+        }
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childSchema = schema.properties?.[key];
+        if (!childSchema) {
+          if (schema.additionalProperties === false) {
+            errors.push(`${path}.${key}: unexpected property`);
+          }
+          continue;
+        }
+        errors.push(...validateAgainstSchema(child, childSchema, `${path}.${key}`));
+      }
+      break;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: expected array`);
+        break;
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+        });
+      }
+      break;
+    }
+    case 'string': {
+      if (typeof value !== 'string') {
+        errors.push(`${path}: expected string`);
+        break;
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: does not match ${schema.pattern}`);
+      }
+      break;
+    }
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path}: expected number`);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+function parseLlmTaskOutput(task, text) {
+  if (!text) {
+    return { valid: false, errors: ['empty response'] };
+  }
+
+  let parsed;
+  try {
+    // ローカルモデルはコードフェンスで囲んで返すことがあるので外してから解釈する
+    parsed = JSON.parse(text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+  } catch (error) {
+    return { valid: false, errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  const errors = validateAgainstSchema(parsed, LLM_TASKS[task].responseSchema);
+  return errors.length ? { valid: false, errors } : { valid: true, data: parsed };
+}
+
+function recordLlmValidationFailure({ task, provider, model, errors, rawText }) {
+  llmValidationFailureCount += 1;
+  llmValidationFailures.push({
+    task,
+    provider,
+    model,
+    errors: errors.slice(0, 10),
+    rawText: truncateText(rawText || '', 1000),
+    timestamp: Date.now()
+  });
+  if (llmValidationFailures.length > LLM_VALIDATION_FAILURE_LIMIT) {
+    llmValidationFailures.shift();
+  }
+  logger.warn('LLM response failed schema validation', task, errors);
+}
+
+async function requestLlmCompletion({ task, system, prompt, bypassCache = false }, llmProvider) {
+  // タスクごとにモデルや出力上限を差し替えられるよう、設定を反映した接続情報を組み立てる
+  const taskSettings = await loadLlmTaskSettings(task);
+  const provider = taskSettings.model ? { ...llmProvider, model: taskSettings.model } : llmProvider;
+  const definition = LLM_PROVIDERS[provider.id];
+  // どのプロンプトビルダーから来た文面も、送信前にここで必ず伏せ字を通す
+  const request = definition.buildRequest(provider, {
+    system,
+    prompt: redactText(prompt),
+    maxOutputTokens: taskSettings.maxOutputTokens,
+    temperature: taskSettings.temperature,
+    responseFormat: { name: task, schema: LLM_TASKS[task].responseSchema }
+  });
+
+  // API キーはキーに含めず、同じ接続先・同じモデル・同じプロンプトなら結果を使い回す
+  const ttlMinutes = await loadLlmCacheTtlMinutes();
+  const cacheKey =
+    ttlMinutes > 0
+      ? `${provider.id}:${provider.model}::${await hashText(JSON.stringify({ url: request.url, body: request.body }))}`
+      : null;
+
+  // 再生成の指示があったときはキャッシュを読まずに問い合わせ、結果で上書きする
+  if (cacheKey && !bypassCache) {
+    try {
+      const cached = await readLlmCache(cacheKey);
+      const parsed = cached ? parseLlmTaskOutput(task, definition.extractText(cached.result)) : null;
+      if (parsed?.valid) {
+        llmCacheStats.hits += 1;
+        logger.debug('LLM cache hit', cacheKey);
+        return { data: parsed.data, result: cached.result };
+      }
+    } catch (error) {
+      logger.warn('LLM cache lookup failed', error);
+    }
+    llmCacheStats.misses += 1;
+    logger.debug('LLM cache miss', cacheKey);
+  }
+
+  const response = await fetch(request.url, {
+    method: 'POST',
+    headers: request.headers,
+    body: JSON.stringify(request.body)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${definition.label} request failed with status ${response.status}`);
+  }
+
+  const result = await response.json();
+  const text = definition.extractText(result);
+  const parsed = parseLlmTaskOutput(task, text);
+  if (!parsed.valid) {
+    // スキーマに合わない応答はキャッシュせず、原文ごと診断情報に残す
+    recordLlmValidationFailure({
+      task,
+      provider: provider.id,
+      model: provider.model,
+      errors: parsed.errors,
+      rawText: text
+    });
+    return { data: null, result };
+  }
+
+  if (cacheKey) {
+    try {
+      await writeLlmCache(cacheKey, provider.model, result, ttlMinutes);
+    } catch (error) {
+      logger.warn('Failed to store LLM cache entry', error);
+    }
+  }
+
+  return { data: parsed.data, result };
+}
+
+async function classifyHistoryEntryCategory({ title, bodyText, visualTrend, layoutHighlights }, llmProvider) {
+  const provider = llmProvider || (await loadLlmProviderConfig());
+  if (!isLlmProviderReady(provider)) {
+    return null;
+  }
+
+  const truncatedBody = truncateText(bodyText || '', 1200);
+  const visualTrendSummary = visualTrend || '情報なし';
+  const layoutHighlightsSummary = layoutHighlights || '情報なし';
+  const prompt = `このページのカテゴリを次のいずれかから最もふさわしいものを1つ選んでください: ${CATEGORY_NAMES.join(
+    ', '
+  )}。category に選んだカテゴリ、reason に短い理由を入れた JSON で返してください。ページ情報:\nタイトル: ${title ||
+    '不明'}\nヒューリスティック要約: ${visualTrendSummary}\nレイアウト情報: ${layoutHighlightsSummary}\n本文抜粋: ${truncatedBody}`;
+
+  try {
+    const { data } = await requestLlmCompletion(
+      {
+        task: 'categorization',
+        system:
+          'You are a personalization assistant. Always pick a single predefined category keyword and explain why the page belongs there.',
+        prompt
+      },
+      provider
+    );
+    return data?.category || null;
+  } catch (error) {
+    logger.warn('LLM history categorization failed', error);
+    return null;
+  }
+}
+
+async function analyzeHistoryEntry(historyItem) {
+  const { url } = historyItem;
+  let bodyText = '';
+  let title = historyItem.title || '';
+  let documentMetrics = {
+    headingCount: 0,
+    paragraphCount: 0,
+    imageCount: 0,
+    averageParagraphLength: 0,
+    textToImageRatio: 0
+  };
+
+  try {
+    const response = await fetch(url, { method: 'GET' });
+    if (response.ok) {
+      const html = await response.text();
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(html, 'text/html');
+      title = doc.title || title;
+      const textContent = doc.body ? doc.body.textContent || '' : '';
+      bodyText = textContent.replace(/\s+/g, ' ').trim();
+
+      const headings = doc.querySelectorAll('h1, h2, h3, h4, h5, h6');
+      const paragraphs = doc.querySelectorAll('p');
+      const images = doc.querySelectorAll('img');
+      const paragraphsLength = Array.from(paragraphs).map((p) => (p.textContent || '').trim().length);
+      const totalParagraphLength = paragraphsLength.reduce((acc, length) => acc + length, 0);
+
+      documentMetrics = {
+        headingCount: headings.length,
+        paragraphCount: paragraphs.length,
+        imageCount: images.length,
+        averageParagraphLength: paragraphsLength.length ? totalParagraphLength / paragraphsLength.length : 0,
+        textToImageRatio: images.length ? paragraphs.length / images.length : paragraphs.length
+      };
+    }
+  } catch (error) {
+    logger.warn('Failed to fetch or parse history page for analysis', url, error);
+  }
+
+  const origin = (() => {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      logger.warn('Unable to resolve origin for url', url, error);
+      return url;
+    }
+  })();
+
+  const visualTrend = buildVisualTrendDescription({
+    dominantColor: '不明',
+    primaryFont: '不明',
+    baseFontSize: '不明',
+    textDensity: bodyText ? Math.min(bodyText.length / 5000, 1) : 0,
+    imageCount: documentMetrics.imageCount,
+    layoutStyle: documentMetrics.headingCount > 5 ? '情報量の多い構成' : 'シンプルな構成'
+  });
+
+  const layoutHighlights = summarizeStructureMetrics(documentMetrics);
+  const llmProvider = await loadLlmProviderConfig();
+  const aiCategory = await classifyHistoryEntryCategory(
+    { title, bodyText, visualTrend, layoutHighlights },
+    llmProvider
+  );
+  const category = aiCategory || detectCategoryFromText(title, bodyText);
+
+  let llmSummary;
+  try {
+    llmSummary = await runGpt5VisualSummary({
+      title,
+      bodyText,
+      visualTrend,
+      layoutHighlights
+    }, llmProvider);
+  } catch (error) {
+    logger.warn('LLM summary failed for history entry', url, error);
+  }
+
+  const record = {
+    url,
+    origin,
+    source: 'history',
+    title,
+    extractedAt: Date.now(),
+    visualTrend: llmSummary?.visualTrend || visualTrend,
+    layoutHighlights,
+    category,
+    textSample: truncateText(bodyText, 2000),
+    context: {
+      visitCount: historyItem.visitCount || 0,
+      lastVisitTime: historyItem.lastVisitTime || Date.now()
+    },
+    rawLLMResponse: llmSummary?.raw
+  };
+
+  await withDataLock(() => savePageFeature(record));
+}
+
+async function runGpt5VisualSummary({ title, bodyText, visualTrend, layoutHighlights }, llmProvider) {
+  const provider = llmProvider || (await loadLlmProviderConfig());
+  if (!isLlmProviderReady(provider)) {
+    return null;
+  }
+
+  const prompt = `以下のページ情報から、画面全体の傾向を150文字以内で要約し、visualTrend に入れた JSON で返してください。\n` +
+    `タイトル: ${title || '不明'}\n` +
+    `ヒューリスティック要約: ${visualTrend || '情報なし'}\n` +
+    `レイアウト情報: ${layoutHighlights || '情報なし'}\n` +
+    `本文抜粋: ${truncateText(bodyText || '', 800)}`;
+
+  try {
+    const { data, result } = await requestLlmCompletion(
+      {
+        task: 'visualSummary',
+        system: 'You are a UX trend analyst who summarizes visual and layout characteristics for personalization systems.',
+        prompt
+      },
+      provider
+    );
+
+    const visualTrendText = data?.visualTrend.trim();
+    if (!visualTrendText) {
+      return null;
+    }
+
+    return {
+      visualTrend: truncateText(visualTrendText, 400),
+      raw: JSON.stringify(result)
+    };
+  } catch (error) {
+    logger.warn('LLM visual summary failed', error);
+    return null;
+  }
+}
+
+async function gatherHistoryProfileSummary(limit = 5) {
+  const storage = await browserApi.storage.local.get({
+    [PAGE_STATS_KEY]: {},
+    [PAGE_PREFERENCES_KEY]: {}
+  });
+
+  const stats = storage[PAGE_STATS_KEY];
+  const preferences = storage[PAGE_PREFERENCES_KEY];
+  const entries = Object.entries(stats)
+    .map(([origin, meta]) => ({
+      origin,
+      visits: Number.isFinite(meta?.visits) ? meta.visits : 0,
+      minutesSpent: Math.round((meta?.timeSpentMs || 0) / 60000),
+      lastAction: meta?.lastInteraction?.type || '未収集',
+      preferredColor: preferences[origin]?.highlightColor || '―'
+    }))
+    .sort((a, b) => b.visits - a.visits)
+    .slice(0, limit);
+
+  if (entries.length === 0) {
+    return '履歴データが存在しません。';
+  }
+
+  return entries
+    .map(
+      (entry, index) =>
+        `${index + 1}. ${entry.origin} — 訪問回数: ${entry.visits}、滞在: ${entry.minutesSpent}分、好みの色: ${entry.preferredColor}、最終操作: ${entry.lastAction}`
+    )
+    .join('\n');
+}
+
+async function runGpt5ToolbarCustomization({ pageSnapshot, historySummary }, llmProvider) {
+  const provider = llmProvider || (await loadLlmProviderConfig());
+  if (!isLlmProviderReady(provider)) {
+    return null;
+  }
+
+  const metrics = pageSnapshot.metrics || {};
+  const metricLines = [
+    `Dominant color: ${metrics.dominantColor || '不明'}`,
+    `Primary font: ${metrics.primaryFont || '不明'}`,
+    `Base font size: ${metrics.baseFontSize || '不明'}`,
+    typeof metrics.textDensity === 'number'
+      ? `Text density: ${(metrics.textDensity * 100).toFixed(1)}%`
+      : 'Text density: 不明',
+    `Images: ${typeof metrics.imageCount === 'number' ? metrics.imageCount : '不明'}`,
+    `Paragraphs: ${typeof metrics.paragraphCount === 'number' ? metrics.paragraphCount : '不明'}`
+  ];
+
+  const prompt = `あなたはパーソナライズ拡張の視覚修正アドバイザーです。次の情報をもとに、現在のページで使うべきハイライトカラーを選び、簡単に理由を添えてJSONで返してください。highlightColor は #rrggbb 形式、notes に理由を入れてください。
+ページタイトル: ${pageSnapshot.title || '不明'}
+カテゴリ: ${pageSnapshot.category || '不明'}
+ビジュアル傾向: ${pageSnapshot.visualTrend || '不明'}
+レイアウト情報: ${pageSnapshot.layoutHighlights || '不明'}
+メトリクス:
+${metricLines.join('\n')}
+ビューポート要約: ${pageSnapshot.viewportSummary || 'なし'}
+ユーザーの過去の傾向:
+${historySummary || 'データなし'}
+`;
+
+  try {
+    const { data, result } = await requestLlmCompletion(
+      {
+        task: 'toolbarColor',
+        system: 'You are a UX personalization strategist. Pick one highlight color and explain why it fits.',
+        prompt
+      },
+      provider
+    );
+    if (!data) {
+      return null;
+    }
+
+    return {
+      customization: {
+        highlightColor: data.highlightColor.toLowerCase(),
+        notes: data.notes.trim()
+      },
+      raw: JSON.stringify(result)
+    };
+  } catch (error) {
+    logger.warn('LLM toolbar customization failed', error);
+    return null;
+  }
+}
+
+async function getAllFromIndex(storeName, indexName, key) {
+  // IndexedDB の index 取得はイベント駆動なので Promise に包んで await で使える形にする
+  return withStore(storeName, 'readonly', (store) => new Promise((resolve, reject) => {
+    const index = store.index(indexName);
+    const request = index.getAll(key);
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+async function getSimilarHistoryEntries(category, currentUrl, limit = 3) {
+  if (!category) {
+    return [];
+  }
+
+  try {
+    const entries = await getAllFromIndex(PAGE_FEATURE_STORE, 'byCategory', category);
+    return entries
+      .filter((entry) => entry?.url && entry.url !== redactUrl(currentUrl))
+      .sort((a, b) => (b.extractedAt || 0) - (a.extractedAt || 0))
+      .slice(0, limit);
+  } catch (error) {
+    logger.warn('Failed to load similar history entries', category, error);
+    return [];
+  }
+}
+
+function summarizeHistoryEntries(entries) {
+  if (!entries.length) {
+    return '該当履歴なし';
+  }
+
+  return entries
+    .map((entry, index) => {
+      const title = entry.title || entry.url || '不明';
+      const trend = entry.visualTrend || entry.layoutHighlights || '情報なし';
+      return `${index + 1}. ${title} (${entry.category || '不明'}) - ${trend}`;
+    })
+    .join('\n');
+}
+
+async function getRecentInteractionLogs(url, origin, limit = 20) {
+  if (!url && !origin) {
+    return [];
+  }
+
+  const byUrl = url ? await getAllFromIndex(INTERACTION_STORE, 'byUrl', redactUrl(url)) : [];
+  if (byUrl.length) {
+    return byUrl.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)).slice(0, limit);
+  }
+
+  if (!origin) {
+    return [];
+  }
+
+  // [origin, timestamp] の複合 index を新しい順にたどり、必要な件数だけ読む
+  return withStore(INTERACTION_STORE, 'readonly', (store) => new Promise((resolve, reject) => {
+    const logs = [];
+    const range = IDBKeyRange.bound([origin, -Infinity], [origin, Infinity]);
+    const request = store.index('byOriginTimestamp').openCursor(range, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || logs.length >= limit) {
+        resolve(logs);
+        return;
+      }
+      logs.push(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+function buildInteractionSummary(logs) {
+  if (!logs.length) {
+    return '操作ログなし';
+  }
+
+  const summary = {
+    total: logs.length,
+    scrollCount: 0,
+    maxScrollY: 0,
+    clickCount: 0,
+    zoomCount: 0,
+    maxZoom: 1,
+    selectionCount: 0,
+    avgSelectionLength: 0,
+    dwellMs: 0,
+    readingMs: 0,
+    maxScrollDepth: 0,
+    idleCount: 0,
+    idleMs: 0,
+    bounceCount: 0,
+    copyCount: 0
+  };
+
+  let totalSelectionLength = 0;
+
+  for (const log of logs) {
+    switch (log.actionType) {
+      case 'scroll':
+        summary.scrollCount += 1;
+        summary.maxScrollY = Math.max(summary.maxScrollY, log.meta?.scrollY || 0);
+        break;
+      case 'click':
+        summary.clickCount += 1;
+        break;
+      case 'zoom':
+        summary.zoomCount += 1;
+        summary.maxZoom = Math.max(summary.maxZoom, log.meta?.scale || 1);
+        break;
+      case 'text-selection':
+        summary.selectionCount += 1;
+        totalSelectionLength += log.meta?.length || 0;
+        break;
+      case 'dwell':
+        summary.dwellMs += log.meta?.durationMs || 0;
+        break;
+      case 'reading-time':
+        summary.readingMs += log.meta?.activeMs || 0;
+        break;
+      case 'scroll-depth':
+        summary.maxScrollDepth = Math.max(summary.maxScrollDepth, log.meta?.percent || 0);
+        break;
+      case 'idle':
+        summary.idleCount += 1;
+        summary.idleMs += log.meta?.durationMs || 0;
+        break;
+      case 'bounce':
+        summary.bounceCount += 1;
+        break;
+      case 'copy':
+        summary.copyCount += 1;
+        break;
+      default:
+        break;
+    }
+  }
+
+  summary.avgSelectionLength = summary.selectionCount
+    ? Math.round(totalSelectionLength / summary.selectionCount)
+    : 0;
+
+  return [
+    `総操作数: ${summary.total}`,
+    `スクロール回数: ${summary.scrollCount}`,
+    `最大スクロール: ${summary.maxScrollY}px`,
+    `クリック回数: ${summary.clickCount}`,
+    `ズーム回数: ${summary.zoomCount}`,
+    `最大ズーム: ${summary.maxZoom}`,
+    `選択回数: ${summary.selectionCount}`,
+    `平均選択長: ${summary.avgSelectionLength}文字`,
+    `滞在時間: ${Math.round(summary.dwellMs / 1000)}秒`,
+    `実際に読んでいた時間: ${Math.round(summary.readingMs / 1000)}秒`,
+    `最大読了位置: ${summary.maxScrollDepth}%`,
+    `離席: ${summary.idleCount}回（${Math.round(summary.idleMs / 1000)}秒）`,
+    `直帰: ${summary.bounceCount}回`,
+    `コピー: ${summary.copyCount}回`
+  ].join(' / ');
+}
+
+function recordClickRegion(regions, meta, timestamp) {
+  if (!isNonEmptyString(meta?.selector)) {
+    return regions;
+  }
+
+  const entries = regions || {};
+  const current = entries[meta.selector] || { count: 0 };
+  entries[meta.selector] = {
+    count: current.count + 1,
+    tag: meta.tag || current.tag || '',
+    role: meta.role || current.role || '',
+    region: meta.region || current.region || 'body',
+    hrefOrigin: meta.hrefOrigin || '',
+    label: meta.label || current.label || '',
+    lastClickedAt: timestamp
+  };
+
+  const selectors = Object.keys(entries);
+  if (selectors.length > CLICK_REGION_LIMITS.perOrigin) {
+    // 回数が少なく、最後に押されたのが古いものから捨てる
+    selectors
+      .sort((a, b) => entries[b].count - entries[a].count || entries[b].lastClickedAt - entries[a].lastClickedAt)
+      .slice(CLICK_REGION_LIMITS.perOrigin)
+      .forEach((selector) => {
+        delete entries[selector];
+      });
+  }
+  return entries;
+}
+
+function summarizeClickRegions(regions) {
+  const frequent = Object.entries(regions || {})
+    .filter(([, entry]) => entry.count >= CLICK_REGION_LIMITS.minCount)
+    .sort(([, a], [, b]) => b.count - a.count)
+    .slice(0, CLICK_REGION_LIMITS.promptEntries);
+  if (!frequent.length) {
+    return 'よく使う箇所なし';
+  }
+
+  return frequent
+    .map(([selector, entry]) => {
+      const details = [CLICK_REGION_LABELS[entry.region] || entry.region, entry.role];
+      if (entry.label) {
+        details.push(`「${entry.label}」`);
+      }
+      if (entry.hrefOrigin) {
+        details.push(`→ ${entry.hrefOrigin}`);
+      }
+      return `- ${selector}（${details.join('・')}）: ${entry.count}回`;
+    })
+    .join('\n');
+}
+
+async function openClickRegionLabels(entries) {
+  // ロック中・復号できないラベルは空にして、位置と回数だけを使う
+  const opened = {};
+  for (const [selector, entry] of Object.entries(entries || {})) {
+    opened[selector] = isEncryptedValue(entry.label) ? { ...entry, label: (await revealSecret(entry.label)) || '' } : entry;
+  }
+  return opened;
+}
+
+async function loadClickRegionSummary(origin) {
+  const storage = await browserApi.storage.local.get({ [CLICK_REGIONS_KEY]: {} });
+  return summarizeClickRegions(await openClickRegionLabels(storage[CLICK_REGIONS_KEY][origin]));
+}
+
+async function runGpt5PageCustomizationProposal(
+  { pageSnapshot, historySummary, interactionSummary, clickSummary, preferenceSummary },
+  llmProvider,
+  { bypassCache = false } = {}
+) {
+  const provider = llmProvider || (await loadLlmProviderConfig());
+  if (!isLlmProviderReady(provider)) {
+    return null;
+  }
+
+  // AI には分析→類推→提案のステップを明示し、返却フォーマットを固定してパースしやすくする
+  const prompt = `あなたはパーソナライズ拡張のAIエージェントです。\n` +
+    `1. 現在のページを分析\n` +
+    `2. 類似ページ傾向から類推\n` +
+    `3. 操作ログから変更方針を提案\n` +
+    `以下の情報に基づき、proposal・rationale・changePlan（変更手順の配列）を持つJSONで返答してください。\n` +
+    `ページタイトル: ${pageSnapshot.title || '不明'}\n` +
+    `カテゴリ: ${pageSnapshot.category || '不明'}\n` +
+    `ビジュアル傾向: ${pageSnapshot.visualTrend || '不明'}\n` +
+    `レイアウト情報: ${pageSnapshot.layoutHighlights || '不明'}\n` +
+    `スタイル要約: ${pageSnapshot.styleSummary || '不明'}\n` +
+    `ビューポート要約: ${pageSnapshot.viewportSummary || '不明'}\n` +
+    `類似ページ履歴:\n${historySummary}\n` +
+    `操作ログ要約:\n${interactionSummary}\n` +
+    `よくクリックする箇所:\n${clickSummary || 'よく使う箇所なし'}\n` +
+    `学習した好み（確信度が高いものほど優先）:\n${preferenceSummary || '学習した好みなし'}\n`;
+
+  try {
+    const { data, result } = await requestLlmCompletion(
+      {
+        task: 'proposal',
+        system: 'You are a UX personalization agent. Provide a concise proposal and rationale.',
+        prompt,
+        bypassCache
+      },
+      provider
+    );
+    if (!data) {
+      return null;
+    }
+
+    return {
+      proposal: data.proposal.trim(),
+      rationale: data.rationale.trim(),
+      changePlan: data.changePlan.map((step) => step.trim()).filter(Boolean),
+      raw: JSON.stringify(result)
+    };
+  } catch (error) {
+    logger.warn('LLM page proposal failed', error);
+    return null;
+  }
+}
+
+async function runGpt5PageCss({ pageSnapshot, proposal, clickSummary }, llmProvider, { bypassCache = false } = {}) {
+  const provider = llmProvider || (await loadLlmProviderConfig());
+  if (!isLlmProviderReady(provider)) {
+    return null;
+  }
+
+  // CSSのみ返させて危険な構文を避けることで、適用時の安全性を担保する
+  const prompt = `次のページに対し、提案に沿ったCSSを css に入れたJSONで返してください。\n` +
+    `制約: @importは禁止。bodyやmain、section、h1-h3、p、a、buttonなど一般的な要素へのスタイル変更のみ。` +
+    `display:noneで主要コンテンツを隠さない。\n` +
+    `提案: ${proposal || '不明'}\n` +
+    // 実際に使われているナビゲーションを目立たせられるよう、セレクタ付きで渡す
+    `よくクリックする箇所:\n${clickSummary || 'よく使う箇所なし'}\n` +
+    `HTML抜粋:\n${pageSnapshot.domSnippet || 'なし'}\n` +
+    `現在のスタイル要約:\n${pageSnapshot.styleSummary || '不明'}\n`;
+
+  try {
+    const { data } = await requestLlmCompletion(
+      {
+        task: 'cssGeneration',
+        system: 'You generate safe CSS overrides to personalize a page. Put only CSS in the css field.',
+        prompt,
+        bypassCache
+      },
+      provider
+    );
+    return data?.css.trim() || null;
+  } catch (error) {
+    logger.warn('LLM page CSS generation failed', error);
+    return null;
+  }
+}
+
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+async function loadHistorySyncState() {
+  const stored = await browserApi.storage.local.get({ [HISTORY_SYNC_STATE_KEY]: {} });
+  return { watermark: 0, lastRunAt: null, lastRun: null, attempts: {}, ...stored[HISTORY_SYNC_STATE_KEY] };
+}
+
+// history.search は上限を超えると新しい訪問から返して古い訪問を落とすため、
+// 上限に収まる範囲で最も遅い検索期間の終わりを二分探索で探す
+async function searchHistoryWindow(startTime, now) {
+  const search = (endTime) =>
+    browserApi.history.search({ text: '', startTime, endTime, maxResults: HISTORY_SYNC_LIMITS.maxResults });
+
+  const items = await search(now);
+  if (items.length < HISTORY_SYNC_LIMITS.maxResults) {
+    return { items, endTime: now, truncated: false };
+  }
+
+  let fitting = { items: [], endTime: startTime };
+  let overflowEnd = now;
+  while (overflowEnd - fitting.endTime > HISTORY_SYNC_LIMITS.minWindowMs) {
+    const endTime = fitting.endTime + Math.floor((overflowEnd - fitting.endTime) / 2);
+    const candidates = await search(endTime);
+    if (candidates.length < HISTORY_SYNC_LIMITS.maxResults) {
+      fitting = { items: candidates, endTime };
+    } else {
+      overflowEnd = endTime;
+    }
+  }
+  if (fitting.endTime === startTime) {
+    // 1 区間に上限以上の訪問が集中している場合は、取りこぼしを承知で先へ進む
+    logger.warn('History window still exceeds the search limit', { startTime, endTime: overflowEnd });
+    return { items: await search(overflowEnd), endTime: overflowEnd, truncated: true };
+  }
+  return { ...fitting, truncated: true };
+}
+
+async function findLatestPageFeatureTime(origin, url) {
+  // 履歴解析のレコード（origin ごとに 1 件）と、同じ URL のライブ解析のうち新しい方の時刻を返す
+  return withStore(PAGE_FEATURE_STORE, 'readonly', (store) => new Promise((resolve, reject) => {
+    let latest = 0;
+    let pending = 2;
+    const settle = (records) => {
+      for (const record of records) {
+        latest = Math.max(latest, record?.extractedAt || 0);
+      }
+      pending -= 1;
+      if (pending === 0) {
+        resolve(latest);
+      }
+    };
+    const byId = store.get(`${origin}::history`);
+    byId.onsuccess = () => settle([byId.result]);
+    byId.onerror = () => reject(byId.error);
+    const byUrl = store.index('byUrl').getAll(redactUrl(url));
+    byUrl.onsuccess = () => settle(byUrl.result || []);
+    byUrl.onerror = () => reject(byUrl.error);
+  }));
+}
+
+async function analyzeRecentHistory() {
+  if (!browserApi.history || typeof browserApi.history.search !== 'function') {
+    logger.warn('History API unavailable');
+    return;
+  }
+
+  try {
+    const privacySettings = await loadPrivacySettings();
+    if (privacySettings.paused) {
+      logger.info('Data collection paused, skipping history analysis');
+      return;
+    }
+
+    const state = await loadHistorySyncState();
+    const now = Date.now();
+    const startTime = state.watermark || now - HISTORY_SYNC_LIMITS.initialLookbackMs;
+    // 前回以降に訪問があったものだけを対象にする。期間を縮めた場合、残りは次回に回す
+    const { items: historyItems, endTime, truncated } = await searchHistoryWindow(startTime, now);
+
+    const domainMap = new Map();
+    let newestVisit = state.watermark;
+    for (const item of historyItems) {
+      const visitedAt = item.lastVisitTime || 0;
+      if (visitedAt <= state.watermark || visitedAt > endTime || !/^https?:/.test(item.url || '')) {
+        continue;
+      }
+      newestVisit = Math.max(newestVisit, visitedAt);
+      if (await findCollectionBlockReason(item.url, {}, privacySettings)) {
+        continue;
+      }
+
+      let origin;
+      try {
+        origin = new URL(item.url).origin;
+      } catch (error) {
+        origin = item.url;
+      }
+
+      const stored = domainMap.get(origin);
+      if (!stored || visitedAt > (stored.lastVisitTime || 0)) {
+        domainMap.set(origin, { ...item, origin });
+      }
+    }
+
+    // 古い訪問から順に処理し、予算で打ち切った分は次回に回す
+    const candidates = [...domainMap.values()].sort((a, b) => (a.lastVisitTime || 0) - (b.lastVisitTime || 0));
+    const deadline = now + HISTORY_SYNC_LIMITS.maxRunMs;
+    let analyzed = 0;
+    const outcomes = await runWithConcurrency(candidates, HISTORY_SYNC_LIMITS.concurrency, async (item) => {
+      if (analyzed >= HISTORY_SYNC_LIMITS.maxEntriesPerRun || Date.now() > deadline) {
+        return 'deferred';
+      }
+      if ((await findLatestPageFeatureTime(item.origin, item.url)) > Date.now() - HISTORY_SYNC_LIMITS.freshnessMs) {
+        return 'fresh';
+      }
+      // 並行して鮮度を確認している間に予算を使い切っていることがあるので、数える直前にも確かめる
+      if (analyzed >= HISTORY_SYNC_LIMITS.maxEntriesPerRun) {
+        return 'deferred';
+      }
+      analyzed += 1;
+      await analyzeHistoryEntry(item);
+      return 'analyzed';
+    });
+
+    const counts = { analyzed: 0, fresh: 0, deferred: 0, failed: 0 };
+    const attempts = {};
+    let firstPending = null;
+    outcomes.forEach((outcome, index) => {
+      const { url } = candidates[index];
+      if (outcome.status === 'rejected') {
+        counts.failed += 1;
+        attempts[url] = (state.attempts?.[url] || 0) + 1;
+        if (attempts[url] >= HISTORY_SYNC_LIMITS.maxAttempts) {
+          logger.warn('Giving up on history entry after repeated failures', url, outcome.reason);
+          delete attempts[url];
+          return;
+        }
+        logger.warn('History entry analysis failed', url, outcome.reason);
+      } else {
+        counts[outcome.value] += 1;
+        if (outcome.value !== 'deferred') {
+          return;
+        }
+      }
+      if (firstPending === null) {
+        firstPending = index;
+      }
+    });
+
+    // 打ち切った・失敗した最初の項目の直前までを処理済みとして透かしを進める。
+    // 検索期間を縮めた場合は、その終わりより先の訪問をまだ見ていない
+    const watermark =
+      firstPending === null
+        ? truncated
+          ? Math.max(newestVisit, endTime)
+          : newestVisit
+        : Math.max(state.watermark, (candidates[firstPending].lastVisitTime || 0) - 1);
+    await withDataLock(() =>
+      browserApi.storage.local.set({
+        [HISTORY_SYNC_STATE_KEY]: {
+          watermark,
+          lastRunAt: now,
+          lastRun: { candidates: candidates.length, truncated, ...counts },
+          attempts
+        }
+      })
+    );
+    logger.info('History analysis finished', { watermark, candidates: candidates.length, ...counts });
+  } catch (error) {
+    logger.error('Failed to analyze recent history', error);
+    throw error;
+  }
+}
+
+async function buildDiagnosticsSnapshot() {
+  const storage = await browserApi.storage.local.get({
+    [PAGE_STATS_KEY]: {},
+    [PAGE_PREFERENCES_KEY]: {}
+  });
+
+  const stats = storage[PAGE_STATS_KEY];
+  const preferences = storage[PAGE_PREFERENCES_KEY];
+
+  let llmCacheEntries = null;
+  try {
+    llmCacheEntries = await countLlmCacheEntries();
+  } catch (error) {
+    logger.warn('Failed to count LLM cache entries', error);
+  }
+
+  const snapshot = {
+    queueLength: taskQueue.length,
+    processing,
+    debugMode: logger.isDebugEnabled(),
+    trackedPages: Object.keys(stats).length,
+    pagesWithPreferences: Object.keys(preferences).length,
+    cssSanitizer: { ...cssSanitizerStats },
+    llmValidation: {
+      failures: llmValidationFailureCount,
+      recentFailures: llmValidationFailures.slice(-5)
+    },
+    database: { ...databaseStats, targetVersion: DATABASE_VERSION },
+    storage: await describeStorageUsage(),
+    historySync: await loadHistorySyncState(),
+    encryption: await describeEncryptionStatus(),
+    storageMirror: {
+      enabled: await loadStorageMirrorEnabled(),
+      ...(await loadStorageMirrorState())
+    },
+    redaction: {
+      enabledRules: [...redactionState.enabledRules],
+      counts: { ...redactionState.counts },
+      total: Object.values(redactionState.counts).reduce((sum, count) => sum + count, 0)
+    },
+    llmCache: {
+      hits: llmCacheStats.hits,
+      misses: llmCacheStats.misses,
+      entries: llmCacheEntries,
+      ttlMinutes: await loadLlmCacheTtlMinutes()
+    },
+    timestamp: Date.now()
+  };
+
+  logger.debug('Diagnostics snapshot created', snapshot);
+  return snapshot;
+}
+
+async function setDebugModePreference(enabled) {
+  await browserApi.storage.local.set({ [DEBUG_MODE_KEY]: Boolean(enabled) });
+  logger.info('Debug mode preference stored', enabled);
+}
+
+async function handlePageAnalysis(analysis, { incognito = false } = {}) {
+  const { valid, sanitized, reason } = validatePageAnalysisPayload(analysis);
+  if (!valid) {
+    logger.warn('Discarded page analysis payload', reason, analysis);
+    return;
+  }
+
+  const blockReason = await findCollectionBlockReason(sanitized.url, { incognito });
+  if (blockReason) {
+    logger.debug('Discarded page analysis for excluded page', blockReason);
+    return;
+  }
+
+  const origin = (() => {
+    try {
+      return new URL(sanitized.url).origin;
+    } catch (error) {
+      logger.warn('Fallback origin used for analysis URL', sanitized.url, error);
+      return sanitized.url;
+    }
+  })();
+
+  const llmProvider = await loadLlmProviderConfig();
+  let llmSummary = null;
+  if (isLlmProviderReady(llmProvider)) {
+    try {
+      llmSummary = await runGpt5VisualSummary(
+        {
+          title: sanitized.title,
+          bodyText: sanitized.textSample,
+          visualTrend: sanitized.visualTrend,
+          layoutHighlights: sanitized.layoutHighlights
+        },
+        llmProvider
+      );
+    } catch (error) {
+      logger.warn('LLM visual summary failed for live page', sanitized.url, error);
+    }
+  }
+
+  const record = {
+    id: sanitized.id,
+    url: sanitized.url,
+    origin,
+    source: sanitized.source,
+    title: sanitized.title,
+    extractedAt: sanitized.extractedAt,
+    visualTrend: llmSummary?.visualTrend || sanitized.visualTrend,
+    layoutHighlights: sanitized.layoutHighlights,
+    category: sanitized.category,
+    textSample: sanitized.textSample,
+    viewportSummary: sanitized.viewportSummary,
+    context: sanitized.context,
+    rawLLMResponse: llmSummary?.raw || sanitized.rawLLMResponse
+  };
+
+  logger.info('Persisting page analysis', { url: record.url, source: record.source, category: record.category });
+  await savePageFeature(record);
+  await rememberOriginCategory(origin, record.category);
+}
+
+function derivePageKeyForPreferences(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    logger.warn('Unable to derive preference key for toolbar personalization', url, error);
+    return url || 'unknown';
+  }
+}
+
+async function getPreferencesForUrl(url) {
+  const storage = await browserApi.storage.local.get({ [PAGE_PREFERENCES_KEY]: {} });
+  const pageKey = derivePageKeyForPreferences(url);
+  return storage[PAGE_PREFERENCES_KEY][pageKey] || null;
+}
+
+function buildAcceptedStylePattern(url, scope) {
+  const parsed = new URL(url);
+  if (scope === 'origin') {
+    return `${parsed.origin}/*`;
+  }
+  return `${parsed.origin}${parsed.pathname}`;
+}
+
+function matchesUrlPattern(pattern, url) {
+  if (typeof pattern !== 'string' || typeof url !== 'string') {
+    return false;
+  }
+
+  // クエリやハッシュの違いで再適用が外れないよう、origin + pathname で照合する
+  let target;
+  try {
+    const parsed = new URL(url);
+    target = `${parsed.origin}${parsed.pathname}`;
+  } catch (error) {
+    return false;
+  }
+
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(target);
+}
+
+function sanitizePrivacySettings(settings) {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  const deniedPatterns = Array.isArray(source.deniedPatterns)
+    ? source.deniedPatterns
+        .filter((pattern) => typeof pattern === 'string' && pattern.trim())
+        .map((pattern) => pattern.trim())
+    : [];
+
+  return {
+    paused: source.paused === true,
+    excludeIncognito: source.excludeIncognito !== false,
+    deniedPatterns: [...new Set(deniedPatterns)].slice(0, PRIVACY_DENIED_PATTERN_LIMIT)
+  };
+}
+
+async function loadPrivacySettings() {
+  const stored = await browserApi.storage.local.get({ [PRIVACY_SETTINGS_KEY]: DEFAULT_PRIVACY_SETTINGS });
+  return sanitizePrivacySettings(stored[PRIVACY_SETTINGS_KEY]);
+}
+
+function matchesDeniedPattern(pattern, url) {
+  // "/" を含む指定は URL パターン、それ以外はサブドメインを含むドメイン指定として扱う
+  if (pattern.includes('/')) {
+    return matchesUrlPattern(pattern.includes('://') ? pattern : `*://${pattern}`, url);
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+
+  const domain = pattern.toLowerCase().replace(/^\*\./, '');
+  if (domain.includes('*')) {
+    const source = domain
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^.]*');
+    return new RegExp(`^(.+\\.)?${source}$`).test(hostname);
+  }
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+async function findCollectionBlockReason(url, { incognito = false } = {}, settings) {
+  const privacy = settings || (await loadPrivacySettings());
+  if (privacy.paused) {
+    return 'paused';
+  }
+  if (incognito && privacy.excludeIncognito) {
+    return 'incognito';
+  }
+  if (privacy.deniedPatterns.some((pattern) => matchesDeniedPattern(pattern, url))) {
+    return 'denied';
+  }
+  return null;
+}
+
+function validateAcceptedStylePayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { valid: false, reason: 'Missing payload' };
+  }
+
+  if (typeof payload.url !== 'string' || payload.url.trim() === '') {
+    return { valid: false, reason: 'URL is required' };
+  }
+
+  if (typeof payload.cssText !== 'string' || payload.cssText.trim() === '') {
+    return { valid: false, reason: 'CSS text is required' };
+  }
+
+  let urlPattern;
+  try {
+    urlPattern = buildAcceptedStylePattern(payload.url, payload.scope);
+  } catch (error) {
+    return { valid: false, reason: 'URL is invalid' };
+  }
+
+  return {
+    valid: true,
+    sanitized: {
+      url: payload.url,
+      origin: derivePageKeyForPreferences(payload.url),
+      scope: payload.scope === 'origin' ? 'origin' : 'page',
+      urlPattern,
+      cssText: payload.cssText.trim().slice(0, ACCEPTED_STYLE_CSS_LIMIT),
+      proposal: truncateText(typeof payload.proposal === 'string' ? payload.proposal : '', 400),
+      rationale: truncateText(typeof payload.rationale === 'string' ? payload.rationale : '', 400)
+    }
+  };
+}
+
+async function saveAcceptedStyle(payload) {
+  const { valid, sanitized, reason } = validateAcceptedStylePayload(payload);
+  if (!valid) {
+    logger.warn('Discarded accepted style payload', reason);
+    return null;
+  }
+
+  const storage = await browserApi.storage.local.get({ [ACCEPTED_STYLES_KEY]: {} });
+  const acceptedStyles = storage[ACCEPTED_STYLES_KEY];
+  // 同じパターンの保存は上書きし、1 origin あたりの件数も上限で抑える
+  const existing = (acceptedStyles[sanitized.origin] || []).filter(
+    (style) => style.urlPattern !== sanitized.urlPattern
+  );
+
+  const record = {
+    id: generateId(),
+    origin: sanitized.origin,
+    scope: sanitized.scope,
+    urlPattern: sanitized.urlPattern,
+    cssText: sanitized.cssText,
+    proposal: sanitized.proposal,
+    rationale: sanitized.rationale,
+    acceptedAt: Date.now()
+  };
+
+  acceptedStyles[sanitized.origin] = [record, ...existing].slice(0, ACCEPTED_STYLES_PER_ORIGIN_LIMIT);
+  await browserApi.storage.local.set({ [ACCEPTED_STYLES_KEY]: acceptedStyles });
+
+  logger.info('Accepted style stored', { origin: record.origin, urlPattern: record.urlPattern });
+  return record;
+}
+
+async function removeAcceptedStyle(url, styleId) {
+  const origin = derivePageKeyForPreferences(url);
+  const storage = await browserApi.storage.local.get({ [ACCEPTED_STYLES_KEY]: {} });
+  const acceptedStyles = storage[ACCEPTED_STYLES_KEY];
+  const existing = acceptedStyles[origin] || [];
+  const remaining = existing.filter((style) => style.id !== styleId);
+
+  if (remaining.length === existing.length) {
+    return false;
+  }
+
+  if (remaining.length) {
+    acceptedStyles[origin] = remaining;
+  } else {
+    delete acceptedStyles[origin];
+  }
+
+  await browserApi.storage.local.set({ [ACCEPTED_STYLES_KEY]: acceptedStyles });
+  logger.info('Accepted style removed', { origin, styleId });
+  return true;
+}
+
+async function findAcceptedStyleForUrl(url) {
+  if (!url) {
+    return null;
+  }
+
+  const storage = await browserApi.storage.local.get({ [ACCEPTED_STYLES_KEY]: {} });
+  const candidates = storage[ACCEPTED_STYLES_KEY][derivePageKeyForPreferences(url)] || [];
+  // ページ単位の保存をサイト全体の保存より優先する
+  const matched = candidates
+    .filter((style) => matchesUrlPattern(style.urlPattern, url))
+    .sort(
+      (a, b) => b.urlPattern.length - a.urlPattern.length || (b.acceptedAt || 0) - (a.acceptedAt || 0)
+    );
+
+  return matched[0] || null;
+}
+
+async function requestPageSnapshot(tabId) {
+  try {
+    const response = await browserApi.tabs.sendMessage(tabId, { type: 'REQUEST_PAGE_SNAPSHOT' });
+    return response?.snapshot || null;
+  } catch (error) {
+    logger.warn('Page snapshot request failed', tabId, error);
+    return null;
+  }
+}
+
+async function sendToolbarPersonalization(tab) {
+  // ハイライトを適用できたら true、色がなく適用しなかったら false、送信できなかったら null を返す
+  if (!tab || typeof tab.id !== 'number') {
+    return null;
+  }
+
+  const preferences = await getPreferencesForUrl(tab.url || '');
+  const historySummary = await gatherHistoryProfileSummary();
+  const pageSnapshot = await requestPageSnapshot(tab.id);
+  let customizationResult = null;
+
+  const llmProvider = await loadLlmProviderConfig();
+  const blockReason = await findCollectionBlockReason(tab.url || '', { incognito: Boolean(tab.incognito) });
+  if (pageSnapshot && !blockReason && isLlmProviderReady(llmProvider)) {
+    try {
+      customizationResult = await runGpt5ToolbarCustomization(
+        { pageSnapshot, historySummary },
+        llmProvider
+      );
+    } catch (error) {
+      logger.warn('Toolbar customization LLM failed', tab.url, error);
+    }
+  }
+
+  const payload = {
+    type: 'APPLY_PERSONALIZATION_NOW',
+    preferences,
+    customization: customizationResult?.customization,
+    customizationHistory: historySummary
+  };
+
+  if (customizationResult?.raw) {
+    payload.customizationRaw = customizationResult.raw;
+  }
+
+  try {
+    const response = await browserApi.tabs.sendMessage(tab.id, payload);
+    logger.info('Toolbar customization dispatched', {
+      tabId: tab.id,
+      url: tab.url,
+      customization: customizationResult?.customization,
+      applied: response?.applied
+    });
+    return Boolean(response?.applied);
+  } catch (error) {
+    logger.warn('Failed to send toolbar personalization message', tab?.url, error);
+    return null;
+  }
+}
+
+function findPendingPreview(tabId, url) {
+  // 同じタブで別のページに移った後は、前のページ向けに作った CSS を使わない
+  const pending = pendingPagePreviews.get(tabId);
+  return pending && pending.url === url ? pending : null;
+}
+
+async function buildPagePersonalizationPreview(tab, { regenerate = false } = {}) {
+  // ページ解析・履歴・操作ログから提案を作り、CSS生成まで行う（適用はしない）
+  if (!tab || typeof tab.id !== 'number') {
+    return { error: 'no-tab' };
+  }
+
+  // 収集対象外のページは内容を LLM に送らない
+  const blockReason = await findCollectionBlockReason(tab.url || '', { incognito: Boolean(tab.incognito) });
+  if (blockReason) {
+    logger.info('Page personalization skipped for excluded page', blockReason);
+    return { error: 'collection-blocked' };
+  }
+
+  const pageSnapshot = await requestPageSnapshot(tab.id);
+  if (!pageSnapshot) {
+    logger.warn('No page snapshot available for personalization', tab.url);
+    return { error: 'no-snapshot' };
+  }
+
+  const origin = (() => {
+    try {
+      return new URL(pageSnapshot.url || tab.url || '').origin;
+    } catch (error) {
+      return pageSnapshot.url || tab.url || '';
+    }
   })();
 
-  const openAiKey = await loadOpenAiApiKey();
-  let llmSummary = null;
-  if (openAiKey) {
+  const similarEntries = await getSimilarHistoryEntries(pageSnapshot.category, pageSnapshot.url);
+  const historySummary = summarizeHistoryEntries(similarEntries);
+  const interactionLogs = await getRecentInteractionLogs(pageSnapshot.url, origin);
+  const interactionSummary = buildInteractionSummary(interactionLogs);
+  const clickSummary = await loadClickRegionSummary(origin);
+  const preferenceSummary = await loadPreferenceSummary(origin);
+
+  const llmProvider = await loadLlmProviderConfig();
+  if (!isLlmProviderReady(llmProvider)) {
+    logger.warn('LLM provider is not configured, skipping page personalization', llmProvider.id);
+    return { error: (await isEncryptionLocked()) ? 'secrets-locked' : 'provider-not-ready' };
+  }
+
+  const proposalResult = await runGpt5PageCustomizationProposal(
+    { pageSnapshot, historySummary, interactionSummary, clickSummary, preferenceSummary },
+    llmProvider,
+    { bypassCache: regenerate }
+  );
+  if (!proposalResult?.proposal) {
+    logger.warn('No proposal generated for page personalization');
+    return { error: 'no-proposal' };
+  }
+
+  const cssText = await runGpt5PageCss(
+    { pageSnapshot, proposal: proposalResult.proposal, clickSummary },
+    llmProvider,
+    { bypassCache: regenerate }
+  );
+  if (!cssText) {
+    logger.warn('No CSS generated for page personalization');
+    return { error: 'no-css' };
+  }
+
+  const preview = {
+    url: pageSnapshot.url || tab.url,
+    css: cssText,
+    proposal: proposalResult.proposal,
+    rationale: proposalResult.rationale,
+    changePlan: proposalResult.changePlan,
+    historySummary,
+    interactionSummary,
+    createdAt: Date.now()
+  };
+  pendingPagePreviews.set(tab.id, preview);
+  return { preview };
+}
+
+async function applyPagePersonalizationPreview(tab, preview) {
+  try {
+    const response = await browserApi.tabs.sendMessage(tab.id, {
+      type: 'APPLY_PAGE_PERSONALIZATION',
+      css: preview.css,
+      proposal: preview.proposal,
+      rationale: preview.rationale,
+      changePlan: preview.changePlan,
+      historySummary: preview.historySummary,
+      interactionSummary: preview.interactionSummary
+    });
+    recordCssSanitizerReport(tab.url, response?.report);
+    logger.info('Page personalization applied', { tabId: tab.id, url: tab.url, applied: response?.applied });
+    return Boolean(response?.applied);
+  } catch (error) {
+    logger.warn('Failed to send page personalization', tab.url, error);
+    return false;
+  }
+}
+
+async function sendPagePersonalization(tab) {
+  const { preview, error } = await buildPagePersonalizationPreview(tab);
+  if (!preview) {
+    // 右クリックメニューからはポップアップを出せないので、未設定なら設定画面を開く
+    if (error === 'provider-not-ready' || error === 'secrets-locked') {
+      browserApi.runtime.openOptionsPage();
+    }
+    return;
+  }
+
+  await applyPagePersonalizationPreview(tab, preview);
+}
+
+async function describeTabForPopup(tab) {
+  const pageSnapshot = await requestPageSnapshot(tab.id);
+  if (!pageSnapshot) {
+    return { error: 'no-snapshot' };
+  }
+
+  const origin = derivePageKeyForPreferences(pageSnapshot.url || tab.url);
+  const interactionLogs = await getRecentInteractionLogs(pageSnapshot.url, origin);
+
+  return {
+    snapshot: {
+      url: pageSnapshot.url,
+      title: pageSnapshot.title,
+      category: pageSnapshot.category,
+      visualTrend: pageSnapshot.visualTrend,
+      layoutHighlights: pageSnapshot.layoutHighlights
+    },
+    interactionSummary: buildInteractionSummary(interactionLogs),
+    preview: findPendingPreview(tab.id, pageSnapshot.url),
+    providerReady: isLlmProviderReady(await loadLlmProviderConfig()),
+    secretsLocked: await isEncryptionLocked()
+  };
+}
+
+async function handlePopupCommand(message) {
+  if (typeof message.tabId !== 'number') {
+    return { error: 'no-tab' };
+  }
+
+  const tab = await browserApi.tabs.get(message.tabId);
+  switch (message.type) {
+    case 'GET_PAGE_PREVIEW':
+      return describeTabForPopup(tab);
+    case 'GENERATE_PAGE_PREVIEW':
+      return buildPagePersonalizationPreview(tab, { regenerate: Boolean(message.regenerate) });
+    case 'APPLY_PAGE_PREVIEW': {
+      let preview = findPendingPreview(tab.id, tab.url);
+      if (!preview) {
+        const built = await buildPagePersonalizationPreview(tab);
+        if (!built.preview) {
+          return built;
+        }
+        preview = built.preview;
+      }
+      const applied = await applyPagePersonalizationPreview(tab, preview);
+      return applied ? { applied, preview } : { error: 'apply-failed' };
+    }
+    case 'APPLY_HIGHLIGHT_PREVIEW': {
+      const applied = await sendToolbarPersonalization(tab);
+      if (applied === null) {
+        return { error: 'apply-failed' };
+      }
+      return applied ? { applied } : { error: 'no-highlight' };
+    }
+    default:
+      return { error: 'unknown-command' };
+  }
+}
+
+function recordCssSanitizerReport(url, report) {
+  if (!report || typeof report !== 'object') {
+    return;
+  }
+
+  const droppedRules = Array.isArray(report.droppedRules) ? report.droppedRules.slice(0, 20) : [];
+  const droppedDeclarations = Array.isArray(report.droppedDeclarations)
+    ? report.droppedDeclarations.slice(0, 50)
+    : [];
+
+  cssSanitizerStats.runs += 1;
+  cssSanitizerStats.droppedRules += droppedRules.length;
+  cssSanitizerStats.droppedDeclarations += droppedDeclarations.length;
+  cssSanitizerStats.lastReport = {
+    url,
+    keptRules: Number(report.keptRules) || 0,
+    truncated: Boolean(report.truncated),
+    droppedRules,
+    droppedDeclarations,
+    timestamp: Date.now()
+  };
+
+  if (droppedRules.length || droppedDeclarations.length) {
+    logger.warn('Generated CSS was partially dropped by sanitizer', {
+      url,
+      droppedRules,
+      droppedDeclarations
+    });
+  }
+}
+
+async function sendPersonalizationHistoryCommand(tabId, command) {
+  // 適用履歴はタブ内のコンテンツスクリプトが保持しているので、操作はそのまま転送する
+  if (typeof tabId !== 'number') {
+    logger.warn('Personalization history command requires a tab id', command);
+    return null;
+  }
+
+  try {
+    const response = await browserApi.tabs.sendMessage(tabId, { type: command });
+    logger.info('Personalization history command dispatched', { tabId, command });
+    return response?.history || null;
+  } catch (error) {
+    logger.warn('Failed to send personalization history command', tabId, command, error);
+    return null;
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+async function getAllFromStore(storeName) {
+  return withStore(storeName, 'readonly', (store) => new Promise((resolve, reject) => {
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+async function exportProfile() {
+  const storage = await browserApi.storage.local.get({
+    [PAGE_STATS_KEY]: {},
+    [PAGE_PREFERENCES_KEY]: {},
+    [ACCEPTED_STYLES_KEY]: {},
+    [CLICK_REGIONS_KEY]: {},
+    [PREFERENCE_MODEL_KEY]: {}
+  });
+
+  return {
+    format: PROFILE_FORMAT,
+    version: PROFILE_VERSION,
+    exportedAt: Date.now(),
+    data: {
+      pageStats: storage[PAGE_STATS_KEY],
+      pagePreferences: storage[PAGE_PREFERENCES_KEY],
+      acceptedStyles: storage[ACCEPTED_STYLES_KEY],
+      // 暗号化したフィールドは復号して書き出し、ロック中なら含めない
+      clickRegions: Object.fromEntries(
+        await Promise.all(
+          Object.entries(storage[CLICK_REGIONS_KEY]).map(async ([origin, entries]) => [
+            origin,
+            await openClickRegionLabels(entries)
+          ])
+        )
+      ),
+      preferenceModel: storage[PREFERENCE_MODEL_KEY],
+      pageFeatures: await Promise.all((await getAllFromStore(PAGE_FEATURE_STORE)).map(openRecordFields)),
+      interactionLogs: await Promise.all((await getAllFromStore(INTERACTION_STORE)).map(openRecordFields))
+    }
+  };
+}
+
+function validateProfileEntries(source, validateEntry, skipped, section) {
+  const sanitized = {};
+  for (const [origin, value] of Object.entries(isPlainObject(source) ? source : {})) {
+    const entry = validateEntry(value, origin);
+    if (entry) {
+      sanitized[origin] = entry;
+    } else {
+      skipped[section] += 1;
+    }
+  }
+  return sanitized;
+}
+
+function validateProfileRecords(source, validateRecord, skipped, section) {
+  const sanitized = [];
+  for (const record of Array.isArray(source) ? source : []) {
+    if (validateRecord(record)) {
+      sanitized.push(record);
+    } else {
+      skipped[section] += 1;
+    }
+  }
+  return sanitized;
+}
+
+function sanitizePagePreferenceEntry(value) {
+  return isPlainObject(value) && isNonEmptyString(value.highlightColor) && value.highlightColor.length <= 64
+    ? { highlightColor: value.highlightColor, lastUpdated: Number(value.lastUpdated) || 0 }
+    : null;
+}
+
+function sanitizeAcceptedStyleEntries(value, origin) {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const styles = value
+    .filter((style) => isPlainObject(style) && isNonEmptyString(style.urlPattern) && isNonEmptyString(style.cssText))
+    .map((style) => ({
+      id: isNonEmptyString(style.id) ? style.id : generateId(),
+      origin,
+      scope: style.scope === 'origin' ? 'origin' : 'page',
+      urlPattern: style.urlPattern,
+      cssText: style.cssText.trim().slice(0, ACCEPTED_STYLE_CSS_LIMIT),
+      proposal: truncateText(typeof style.proposal === 'string' ? style.proposal : '', 400),
+      rationale: truncateText(typeof style.rationale === 'string' ? style.rationale : '', 400),
+      acceptedAt: Number(style.acceptedAt) || 0
+    }))
+    .slice(0, ACCEPTED_STYLES_PER_ORIGIN_LIMIT);
+  return styles.length ? styles : null;
+}
+
+function sanitizeClickRegionEntries(value) {
+  if (!isPlainObject(value)) {
+    return null;
+  }
+  const entries = Object.entries(value)
+    .filter(
+      ([selector, entry]) =>
+        selector.length <= 400 && isPlainObject(entry) && Number.isInteger(entry.count) && entry.count > 0
+    )
+    .sort(([, a], [, b]) => b.count - a.count)
+    .slice(0, CLICK_REGION_LIMITS.perOrigin)
+    .map(([selector, entry]) => [
+      selector,
+      {
+        count: entry.count,
+        tag: String(entry.tag || '').slice(0, 40),
+        role: String(entry.role || '').slice(0, 40),
+        region: Object.hasOwn(CLICK_REGION_LABELS, entry.region) ? entry.region : 'body',
+        hrefOrigin: /^https?:\/\/[^/\s]+$/.test(entry.hrefOrigin || '') ? entry.hrefOrigin : '',
+        label: redactText(String(entry.label || '')).slice(0, 80),
+        lastClickedAt: Number(entry.lastClickedAt) || 0
+      }
+    ]);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
+function sanitizePreferenceEntry(value) {
+  if (!isPlainObject(value)) {
+    return null;
+  }
+
+  const dimensions = {};
+  for (const dimension of PREFERENCE_DIMENSIONS) {
+    const learned = value.dimensions?.[dimension];
+    if (!isPlainObject(learned) || !Number.isFinite(learned.value) || !(learned.weight > 0)) {
+      continue;
+    }
+    const range = dimension === 'fontScale' ? PREFERENCE_FONT_SCALE_RANGE : { min: -1, max: 1 };
+    const weight = Math.min(learned.weight, PREFERENCE_WEIGHT_CAP);
+    // 確信度は取り込んだ値を信用せず、重みから求め直す
+    dimensions[dimension] = {
+      value: Math.min(Math.max(learned.value, range.min), range.max),
+      weight,
+      confidence: toPreferenceConfidence(weight)
+    };
+  }
+  const colors = Object.entries(isPlainObject(value.colors) ? value.colors : {})
+    .filter(([color, weight]) => color.length <= 64 && weight > 0 && Number.isFinite(weight))
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 10)
+    .map(([color, weight]) => [color, Math.min(weight, PREFERENCE_WEIGHT_CAP)]);
+  const category = isNonEmptyString(value.category) && value.category.length <= 64 ? value.category : null;
+  if (!category && !Object.keys(dimensions).length && !colors.length) {
+    return null;
+  }
+
+  return {
+    ...(category ? { category } : {}),
+    dimensions,
+    colors: Object.fromEntries(colors),
+    highlight: colors.length ? { color: colors[0][0], confidence: toPreferenceConfidence(colors[0][1]) } : null,
+    updatedAt: Number(value.updatedAt) || 0
+  };
+}
+
+function validateProfilePayload(profile) {
+  if (!isPlainObject(profile)) {
+    return { valid: false, reason: 'Missing profile' };
+  }
+
+  if (profile.format !== PROFILE_FORMAT) {
+    return { valid: false, reason: 'Unknown profile format' };
+  }
+
+  if (!Number.isInteger(profile.version) || profile.version < 1 || profile.version > PROFILE_VERSION) {
+    return { valid: false, reason: `Unsupported profile version: ${profile.version}` };
+  }
+
+  if (!isPlainObject(profile.data)) {
+    return { valid: false, reason: 'Profile data is missing' };
+  }
+
+  // 構造が壊れているレコードだけを読み飛ばし、件数を結果で返す
+  const { data } = profile;
+  const skipped = {
+    pageStats: 0,
+    pagePreferences: 0,
+    acceptedStyles: 0,
+    clickRegions: 0,
+    preferenceModel: 0,
+    pageFeatures: 0,
+    interactionLogs: 0
+  };
+  const sanitized = {
+    pageStats: validateProfileEntries(
+      data.pageStats,
+      (value) =>
+        isPlainObject(value) && Number.isFinite(value.visits) && value.visits >= 0
+          ? {
+              visits: Math.round(value.visits),
+              timeSpentMs: Number.isFinite(value.timeSpentMs) && value.timeSpentMs > 0 ? Math.round(value.timeSpentMs) : 0,
+              lastInteraction: isPlainObject(value.lastInteraction)
+                ? {
+                    type: String(value.lastInteraction.type || ''),
+                    meta: pickFiniteNumbers(value.lastInteraction.meta),
+                    timestamp: Number(value.lastInteraction.timestamp) || 0
+                  }
+                : null
+            }
+          : null,
+      skipped,
+      'pageStats'
+    ),
+    pagePreferences: validateProfileEntries(
+      data.pagePreferences,
+      sanitizePagePreferenceEntry,
+      skipped,
+      'pagePreferences'
+    ),
+    acceptedStyles: validateProfileEntries(
+      data.acceptedStyles,
+      sanitizeAcceptedStyleEntries,
+      skipped,
+      'acceptedStyles'
+    ),
+    clickRegions: validateProfileEntries(data.clickRegions, sanitizeClickRegionEntries, skipped, 'clickRegions'),
+    preferenceModel: {
+      origins: validateProfileEntries(
+        data.preferenceModel?.origins,
+        sanitizePreferenceEntry,
+        skipped,
+        'preferenceModel'
+      ),
+      categories: validateProfileEntries(
+        data.preferenceModel?.categories,
+        sanitizePreferenceEntry,
+        skipped,
+        'preferenceModel'
+      )
+    },
+    pageFeatures: validateProfileRecords(
+      data.pageFeatures,
+      (record) =>
+        isPlainObject(record) &&
+        isNonEmptyString(record.id) &&
+        isNonEmptyString(record.url) &&
+        isNonEmptyString(record.origin) &&
+        Number.isFinite(record.extractedAt),
+      skipped,
+      'pageFeatures'
+    ).map(buildPageFeatureRecord),
+    interactionLogs: validateProfileRecords(
+      data.interactionLogs,
+      (record) =>
+        isPlainObject(record) &&
+        isNonEmptyString(record.id) &&
+        isNonEmptyString(record.url) &&
+        isNonEmptyString(record.origin) &&
+        isNonEmptyString(record.actionType) &&
+        Number.isFinite(record.timestamp),
+      skipped,
+      'interactionLogs'
+    ).map(buildInteractionLogRecord)
+  };
+
+  return { valid: true, sanitized, skipped };
+}
+
+function mergeNewerEntries(current, incoming, readTimestamp) {
+  const merged = { ...current };
+  for (const [origin, entry] of Object.entries(incoming)) {
+    if (!merged[origin] || readTimestamp(entry) >= readTimestamp(merged[origin])) {
+      merged[origin] = entry;
+    }
+  }
+  return merged;
+}
+
+function mergeAcceptedStyles(current, incoming) {
+  const merged = { ...current };
+  for (const [origin, styles] of Object.entries(incoming)) {
+    // 同じ URL パターンは新しく保存された方を残す
+    const byPattern = new Map();
+    for (const style of [...(merged[origin] || []), ...styles]) {
+      const existing = byPattern.get(style.urlPattern);
+      if (!existing || (style.acceptedAt || 0) >= (existing.acceptedAt || 0)) {
+        byPattern.set(style.urlPattern, style);
+      }
+    }
+    merged[origin] = [...byPattern.values()]
+      .sort((a, b) => (b.acceptedAt || 0) - (a.acceptedAt || 0))
+      .slice(0, ACCEPTED_STYLES_PER_ORIGIN_LIMIT);
+  }
+  return merged;
+}
+
+async function importProfile(profile, mode) {
+  const { valid, sanitized, skipped, reason } = validateProfilePayload(profile);
+  if (!valid) {
+    logger.warn('Discarded profile import', reason);
+    return { error: reason };
+  }
+
+  const replace = mode === 'replace';
+  const storage = replace
+    ? {
+        [PAGE_STATS_KEY]: {},
+        [PAGE_PREFERENCES_KEY]: {},
+        [ACCEPTED_STYLES_KEY]: {},
+        [CLICK_REGIONS_KEY]: {},
+        [PREFERENCE_MODEL_KEY]: {}
+      }
+    : await browserApi.storage.local.get({
+        [PAGE_STATS_KEY]: {},
+        [PAGE_PREFERENCES_KEY]: {},
+        [ACCEPTED_STYLES_KEY]: {},
+        [CLICK_REGIONS_KEY]: {},
+        [PREFERENCE_MODEL_KEY]: {}
+      });
+  const model = storage[PREFERENCE_MODEL_KEY];
+  // 取り込んだラベルも保存中のものと同じく暗号化する
+  for (const entries of Object.values(sanitized.clickRegions)) {
+    for (const entry of Object.values(entries)) {
+      entry.label = await sealStoredText(entry.label);
+    }
+  }
+
+  await browserApi.storage.local.set({
+    [PAGE_STATS_KEY]: mergeNewerEntries(
+      storage[PAGE_STATS_KEY],
+      sanitized.pageStats,
+      (entry) => entry?.lastInteraction?.timestamp || 0
+    ),
+    [PAGE_PREFERENCES_KEY]: mergeNewerEntries(
+      storage[PAGE_PREFERENCES_KEY],
+      sanitized.pagePreferences,
+      (entry) => entry?.lastUpdated || 0
+    ),
+    [ACCEPTED_STYLES_KEY]: mergeAcceptedStyles(storage[ACCEPTED_STYLES_KEY], sanitized.acceptedStyles),
+    [CLICK_REGIONS_KEY]: mergeNewerEntries(storage[CLICK_REGIONS_KEY], sanitized.clickRegions, (entries) =>
+      Math.max(0, ...Object.values(entries || {}).map((entry) => entry.lastClickedAt || 0))
+    ),
+    [PREFERENCE_MODEL_KEY]: {
+      origins: mergeNewerEntries(
+        model.origins || {},
+        sanitized.preferenceModel.origins,
+        (entry) => entry?.updatedAt || 0
+      ),
+      categories: mergeNewerEntries(
+        model.categories || {},
+        sanitized.preferenceModel.categories,
+        (entry) => entry?.updatedAt || 0
+      )
+    }
+  });
+
+  // 同じ id のレコードは put で上書きされるので、マージ時も重複しない
+  for (const [storeName, records] of [
+    [PAGE_FEATURE_STORE, sanitized.pageFeatures],
+    [INTERACTION_STORE, sanitized.interactionLogs]
+  ]) {
+    const sealedRecords = await Promise.all(records.map(sealRecordFields));
+    await withStore(storeName, 'readwrite', (store) => {
+      if (replace) {
+        store.clear();
+      }
+      for (const record of sealedRecords) {
+        store.put(record);
+      }
+    });
+  }
+
+  const imported = {
+    pageStats: Object.keys(sanitized.pageStats).length,
+    pagePreferences: Object.keys(sanitized.pagePreferences).length,
+    acceptedStyles: Object.keys(sanitized.acceptedStyles).length,
+    clickRegions: Object.keys(sanitized.clickRegions).length,
+    preferenceModel:
+      Object.keys(sanitized.preferenceModel.origins).length + Object.keys(sanitized.preferenceModel.categories).length,
+    pageFeatures: sanitized.pageFeatures.length,
+    interactionLogs: sanitized.interactionLogs.length
+  };
+  logger.info('Profile imported', { mode: replace ? 'replace' : 'merge', imported, skipped });
+  return { imported, skipped };
+}
+
+const ORIGIN_DETAIL_LIMIT = 20;
+
+async function listIndexKeys(storeName, indexName) {
+  // レコード本体は読まずに index のキーだけを重複なしで列挙する
+  return withStore(storeName, 'readonly', (store) => new Promise((resolve, reject) => {
+    const counts = new Map();
+    const request = store.index(indexName).openKeyCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(counts);
+        return;
+      }
+      counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+async function listTrackedOrigins() {
+  const storage = await browserApi.storage.local.get({
+    [PAGE_STATS_KEY]: {},
+    [PAGE_PREFERENCES_KEY]: {},
+    [ACCEPTED_STYLES_KEY]: {}
+  });
+  const featureCounts = await listIndexKeys(PAGE_FEATURE_STORE, 'byOrigin');
+  const interactionCounts = await listIndexKeys(INTERACTION_STORE, 'byOrigin');
+
+  const origins = new Set([
+    ...Object.keys(storage[PAGE_STATS_KEY]),
+    ...Object.keys(storage[PAGE_PREFERENCES_KEY]),
+    ...Object.keys(storage[ACCEPTED_STYLES_KEY]),
+    ...featureCounts.keys(),
+    ...interactionCounts.keys()
+  ]);
+
+  return [...origins]
+    .map((origin) => {
+      const stats = storage[PAGE_STATS_KEY][origin];
+      return {
+        origin,
+        visits: stats?.visits || 0,
+        timeSpentMs: stats?.timeSpentMs || 0,
+        lastInteractionAt: stats?.lastInteraction?.timestamp || null,
+        highlightColor: storage[PAGE_PREFERENCES_KEY][origin]?.highlightColor || null,
+        acceptedStyles: (storage[ACCEPTED_STYLES_KEY][origin] || []).length,
+        pageFeatures: featureCounts.get(origin) || 0,
+        interactionLogs: interactionCounts.get(origin) || 0
+      };
+    })
+    .sort((a, b) => b.visits - a.visits || a.origin.localeCompare(b.origin));
+}
+
+async function getOriginData(origin) {
+  if (!isNonEmptyString(origin)) {
+    throw new Error('Origin is required');
+  }
+
+  const newestFirst = (field) => (a, b) => (b[field] || 0) - (a[field] || 0);
+  const pageFeatures = await getAllFromIndex(PAGE_FEATURE_STORE, 'byOrigin', origin);
+  const interactionLogs = await getAllFromIndex(INTERACTION_STORE, 'byOrigin', origin);
+
+  return {
+    origin,
+    pageFeatures: pageFeatures
+      .sort(newestFirst('extractedAt'))
+      .slice(0, ORIGIN_DETAIL_LIMIT)
+      .map(({ id, url, title, category, source, extractedAt, visualTrend }) => ({
+        id,
+        url,
+        title,
+        category,
+        source,
+        extractedAt,
+        visualTrend
+      })),
+    interactionLogs: interactionLogs
+      .sort(newestFirst('timestamp'))
+      .slice(0, ORIGIN_DETAIL_LIMIT)
+      .map(({ id, url, actionType, meta, timestamp }) => ({ id, url, actionType, meta, timestamp }))
+  };
+}
+
+async function deleteFromIndex(storeName, indexName, key) {
+  return withStore(storeName, 'readwrite', (store) => new Promise((resolve, reject) => {
+    let deleted = 0;
+    const request = store.index(indexName).openCursor(IDBKeyRange.only(key));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(deleted);
+        return;
+      }
+      cursor.delete();
+      deleted += 1;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+async function deleteOriginData(origin) {
+  if (!isNonEmptyString(origin)) {
+    throw new Error('Origin is required');
+  }
+
+  const storage = await browserApi.storage.local.get({
+    [PAGE_STATS_KEY]: {},
+    [PAGE_PREFERENCES_KEY]: {},
+    [ACCEPTED_STYLES_KEY]: {},
+    [CLICK_REGIONS_KEY]: {},
+    [SYNCED_PAGE_SUMMARIES_KEY]: {},
+    [PREFERENCE_MODEL_KEY]: {}
+  });
+  for (const key of [
+    PAGE_STATS_KEY,
+    PAGE_PREFERENCES_KEY,
+    ACCEPTED_STYLES_KEY,
+    CLICK_REGIONS_KEY,
+    SYNCED_PAGE_SUMMARIES_KEY
+  ]) {
+    delete storage[key][origin];
+  }
+  // カテゴリ単位の学習結果にもこのサイトの操作（クリックした色を含む）が混ざっているため、
+  // 残ったサイトの学習結果から作り直す
+  const model = storage[PREFERENCE_MODEL_KEY];
+  delete model.origins?.[origin];
+  model.categories = rebuildCategoryPreferences(model.origins || {});
+  await recordPreferenceDeletion({ origin });
+  await browserApi.storage.local.set(storage);
+
+  const removed = {
+    pageFeatures: await deleteFromIndex(PAGE_FEATURE_STORE, 'byOrigin', origin),
+    interactionLogs: await deleteFromIndex(INTERACTION_STORE, 'byOrigin', origin)
+  };
+  logger.info('Origin data deleted', { origin, removed });
+  return removed;
+}
+
+async function deleteAllData() {
+  // 設定（personalize* キー）は残し、収集したデータとキューだけを消す。
+  // 完了を待たれている操作（インポートなど）はキューに残す
+  const waitedTasks = taskQueue.filter((task) => taskWaiters.has(task.id));
+  taskQueue.splice(0, taskQueue.length, ...waitedTasks);
+  await recordPreferenceDeletion();
+  await browserApi.storage.local.remove([
+    PAGE_STATS_KEY,
+    PAGE_PREFERENCES_KEY,
+    ACCEPTED_STYLES_KEY,
+    CLICK_REGIONS_KEY,
+    SYNCED_PAGE_SUMMARIES_KEY,
+    PREFERENCE_MODEL_KEY,
+    ACTION_QUEUE_KEY
+  ]);
+  for (const storeName of [PAGE_FEATURE_STORE, INTERACTION_STORE, LLM_CACHE_STORE]) {
+    await withStore(storeName, 'readwrite', (store) => {
+      store.clear();
+    });
+  }
+  pendingPagePreviews.clear();
+  logger.info('All collected data deleted');
+}
+
+function createSyncError(message, { status = null, retryable = false } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+}
+
+function buildSyncHeaders(config) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.token) {
+    headers.Authorization = `Bearer ${config.token}`;
+  }
+  return headers;
+}
+
+async function requestSyncEndpoint(url, init) {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    // ネットワーク断は一時的なものとして再試行に回す
+    throw createSyncError(`Sync request failed: ${error?.message || error}`, { retryable: true });
+  }
+
+  if (!response.ok) {
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw createSyncError(`Sync endpoint responded with ${response.status}`, { status: response.status, retryable });
+  }
+
+  return response.json();
+}
+
+// 同期先の実装。pull は since 以降にサーバーが受け取った項目、push は競合した項目を返す
+const SYNC_BACKENDS = {
+  rest: {
+    label: 'REST API',
+    async pull(config, since) {
+      const url = new URL(`${config.endpoint}/profile`);
+      if (since) {
+        url.searchParams.set('since', String(since));
+      }
+      const body = await requestSyncEndpoint(url.toString(), { headers: buildSyncHeaders(config) });
+      return {
+        items: Array.isArray(body?.items) ? body.items : [],
+        serverTime: Number(body?.serverTime) || null
+      };
+    },
+    async push(config, items) {
+      const body = await requestSyncEndpoint(`${config.endpoint}/profile`, {
+        method: 'PUT',
+        headers: buildSyncHeaders(config),
+        body: JSON.stringify({ items })
+      });
+      return {
+        accepted: Number(body?.accepted) || 0,
+        conflicts: Array.isArray(body?.conflicts) ? body.conflicts : []
+      };
+    }
+  }
+};
+
+async function loadSyncSettings() {
+  const stored = await browserApi.storage.local.get({ [SYNC_SETTINGS_KEY]: DEFAULT_SYNC_SETTINGS });
+  const settings = { ...DEFAULT_SYNC_SETTINGS, ...stored[SYNC_SETTINGS_KEY] };
+  const token = await revealSecret(settings.token);
+  return {
+    enabled: settings.enabled === true,
+    backend: SYNC_BACKENDS[settings.backend] ? settings.backend : DEFAULT_SYNC_SETTINGS.backend,
+    endpoint: normalizeBaseUrl(settings.endpoint, ''),
+    token: typeof token === 'string' ? token.trim() : '',
+    locked: isEncryptedValue(settings.token) && !token
+  };
+}
+
+async function loadSyncState() {
+  const stored = await browserApi.storage.local.get({ [SYNC_STATE_KEY]: {} });
+  return { lastPulledAt: 0, lastPushedAt: 0, lastSuccessAt: null, lastError: null, ...stored[SYNC_STATE_KEY] };
+}
+
+async function saveSyncState(state) {
+  await browserApi.storage.local.set({ [SYNC_STATE_KEY]: state });
+}
+
+async function buildPageFeatureSummaries() {
+  // 本文などの抜粋は送らず、origin ごとの件数とカテゴリ分布だけを集計する
+  const summaries = {};
+  for (const feature of await getAllFromStore(PAGE_FEATURE_STORE)) {
+    if (!feature?.origin) {
+      continue;
+    }
+    const summary = summaries[feature.origin] || { pages: 0, categories: {}, latestExtractedAt: 0, visualTrend: '' };
+    summary.pages += 1;
+    summary.categories[feature.category || 'unknown'] = (summary.categories[feature.category || 'unknown'] || 0) + 1;
+    if ((feature.extractedAt || 0) >= summary.latestExtractedAt) {
+      summary.latestExtractedAt = feature.extractedAt || 0;
+      summary.visualTrend = truncateText(feature.visualTrend || '', 300);
+    }
+    summaries[feature.origin] = summary;
+  }
+  return summaries;
+}
+
+function sanitizeSyncedPageSummary(value) {
+  if (!isPlainObject(value) || !Number.isFinite(value.pages) || value.pages < 0) {
+    return null;
+  }
+  const categories = {};
+  for (const [category, count] of Object.entries(isPlainObject(value.categories) ? value.categories : {}).slice(0, 20)) {
+    if (Number.isFinite(count) && count > 0) {
+      categories[truncateText(category, 120)] = Math.round(count);
+    }
+  }
+  return {
+    pages: Math.round(value.pages),
+    categories,
+    latestExtractedAt: Number(value.latestExtractedAt) || 0,
+    visualTrend: truncateText(typeof value.visualTrend === 'string' ? value.visualTrend : '', 300)
+  };
+}
+
+// サーバーから届いた値はインポートと同じ検証を通してから保存する
+const SYNC_ITEM_SANITIZERS = {
+  preference: sanitizePagePreferenceEntry,
+  acceptedStyles: sanitizeAcceptedStyleEntries,
+  pageSummary: sanitizeSyncedPageSummary
+};
+
+function readSyncItemModifiedAt(kind, value) {
+  switch (kind) {
+    case 'preference':
+      return value?.lastUpdated || 0;
+    case 'acceptedStyles':
+      return Math.max(0, ...(Array.isArray(value) ? value : []).map((style) => style?.acceptedAt || 0));
+    case 'pageSummary':
+      return value?.latestExtractedAt || 0;
+    default:
+      return 0;
+  }
+}
+
+async function collectLocalSyncItems(since) {
+  const storage = await browserApi.storage.local.get({
+    [PAGE_PREFERENCES_KEY]: {},
+    [ACCEPTED_STYLES_KEY]: {}
+  });
+  const sources = [
+    ['preference', storage[PAGE_PREFERENCES_KEY]],
+    ['acceptedStyles', storage[ACCEPTED_STYLES_KEY]],
+    ['pageSummary', await buildPageFeatureSummaries()]
+  ];
+
+  const items = [];
+  for (const [kind, entries] of sources) {
+    for (const [key, value] of Object.entries(entries)) {
+      const modifiedAt = readSyncItemModifiedAt(kind, value);
+      if (modifiedAt > since) {
+        items.push({ kind, key, value, modifiedAt });
+      }
+    }
+  }
+  return items;
+}
+
+async function applyRemoteSyncItems(items) {
+  const storage = await browserApi.storage.local.get({
+    [PAGE_PREFERENCES_KEY]: {},
+    [ACCEPTED_STYLES_KEY]: {},
+    [SYNCED_PAGE_SUMMARIES_KEY]: {}
+  });
+  const targets = {
+    preference: storage[PAGE_PREFERENCES_KEY],
+    acceptedStyles: storage[ACCEPTED_STYLES_KEY],
+    pageSummary: storage[SYNCED_PAGE_SUMMARIES_KEY]
+  };
+
+  // 最終更新日時が新しい方を採用し、同時刻ならローカルを残す
+  const applied = [];
+  for (const item of items) {
+    const target = targets[item?.kind];
+    if (!target || !isNonEmptyString(item.key) || !Number.isFinite(item.modifiedAt)) {
+      continue;
+    }
+    const value = SYNC_ITEM_SANITIZERS[item.kind](item.value, item.key);
+    if (!value) {
+      logger.warn('Discarded malformed sync item', item.kind, item.key);
+      continue;
+    }
+    if (item.modifiedAt > readSyncItemModifiedAt(item.kind, target[item.key])) {
+      target[item.key] = value;
+      applied.push(`${item.kind}:${item.key}`);
+    }
+  }
+
+  if (applied.length) {
+    await browserApi.storage.local.set({
+      [PAGE_PREFERENCES_KEY]: targets.preference,
+      [ACCEPTED_STYLES_KEY]: targets.acceptedStyles,
+      [SYNCED_PAGE_SUMMARIES_KEY]: targets.pageSummary
+    });
+  }
+  return applied;
+}
+
+async function syncProfile() {
+  const settings = await loadSyncSettings();
+  if (!settings.enabled) {
+    logger.debug('Profile sync disabled, skipping');
+    return { skipped: true };
+  }
+  if (!settings.endpoint) {
+    throw createSyncError('Sync endpoint is not configured');
+  }
+  if (settings.locked) {
+    logger.info('Sync token is locked, skipping profile sync');
+    return { skipped: true, reason: 'locked' };
+  }
+
+  const backend = SYNC_BACKENDS[settings.backend];
+  const state = await loadSyncState();
+  const startedAt = Date.now();
+  try {
+    const pulled = await backend.pull(settings, state.lastPulledAt);
+    const appliedFromPull = await applyRemoteSyncItems(pulled.items);
+
+    // 取り込んだばかりの項目は送り返さない
+    const localItems = (await collectLocalSyncItems(state.lastPushedAt)).filter(
+      (item) => !appliedFromPull.includes(`${item.kind}:${item.key}`)
+    );
+    const pushed = localItems.length ? await backend.push(settings, localItems) : { accepted: 0, conflicts: [] };
+    const appliedFromConflicts = await applyRemoteSyncItems(pushed.conflicts);
+
+    const result = {
+      pulled: appliedFromPull.length,
+      pushed: pushed.accepted,
+      conflicts: appliedFromConflicts.length
+    };
+    await saveSyncState({
+      lastPulledAt: pulled.serverTime || state.lastPulledAt,
+      lastPushedAt: startedAt,
+      lastSuccessAt: Date.now(),
+      lastResult: result,
+      lastError: null
+    });
+    logger.info('Profile synced', result);
+    return result;
+  } catch (error) {
+    await saveSyncState({ ...state, lastError: { message: error?.message || String(error), at: Date.now() } });
+    throw error;
+  }
+}
+
+function scheduleTaskRetry(task, error) {
+  const policy = TASK_RETRY_POLICY[task.type];
+  if (!policy || !error?.retryable) {
+    return;
+  }
+
+  const attempt = (task.attempt || 0) + 1;
+  if (attempt >= policy.maxAttempts) {
+    logger.warn('Task retry limit reached', task.type, attempt);
+    return;
+  }
+
+  // 指数バックオフに 0〜20% の揺らぎを足し、複数端末の再試行が重ならないようにする
+  const backoff = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+  const delay = Math.round(backoff * (1 + Math.random() * 0.2));
+  browserApi.alarms.create(`${TASK_RETRY_ALARM_PREFIX}${task.type}:${attempt}`, { when: Date.now() + delay });
+  logger.info('Task retry scheduled', { type: task.type, attempt, delay });
+}
+
+function measureSyncItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+function splitMirrorChunks(chunkKeyPrefix, text) {
+  // JSON エスケープ後の UTF-8 バイト数で数え、チャンクのキー名を含めて 1 項目の上限に収める
+  const limit = STORAGE_MIRROR_ITEM_BYTES - measureSyncItemBytes(`${chunkKeyPrefix}:00`, '');
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of text) {
+    const bytes = measureSyncItemBytes('', char) - 2;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  return chunks;
+}
+
+function stripMirrorSecrets(key, value) {
+  if (key !== LLM_PROVIDER_SETTINGS_KEY || !isPlainObject(value?.providers)) {
+    return value;
+  }
+
+  const providers = {};
+  for (const [id, provider] of Object.entries(value.providers)) {
+    const { apiKey, ...rest } = isPlainObject(provider) ? provider : {};
+    providers[id] = rest;
+  }
+  return { ...value, providers };
+}
+
+function restoreMirrorSecrets(key, incoming, current) {
+  if (key !== LLM_PROVIDER_SETTINGS_KEY || !isPlainObject(incoming?.providers)) {
+    return incoming;
+  }
+
+  // 他の端末の設定を取り込んでも、この端末の API キーは残す
+  const providers = { ...(isPlainObject(current?.providers) ? current.providers : {}) };
+  for (const [id, provider] of Object.entries(incoming.providers)) {
+    const apiKey = providers[id]?.apiKey;
+    providers[id] = apiKey ? { ...provider, apiKey } : provider;
+  }
+  return { ...incoming, providers };
+}
+
+async function buildMirrorEntry(key, value) {
+  const text = JSON.stringify(value);
+  const chunks = splitMirrorChunks(`${STORAGE_MIRROR_PREFIX}${key}`, text);
+  const bytes = chunks.reduce(
+    (sum, chunk, index) => sum + measureSyncItemBytes(`${STORAGE_MIRROR_PREFIX}${key}:${index}`, chunk),
+    // マニフェスト分の見積もり
+    measureSyncItemBytes(`${STORAGE_MIRROR_PREFIX}${key}`, { chunks: chunks.length, modifiedAt: Date.now(), hash: '0'.repeat(64) })
+  );
+  return { value, chunks, bytes, hash: await hashText(text) };
+}
+
+async function fitPreferencesToBudget(preferences, budget) {
+  // 新しく更新されたサイトから順に、予算に収まるだけ残す
+  const entries = Object.entries(preferences).sort(
+    ([, a], [, b]) => (b?.lastUpdated || 0) - (a?.lastUpdated || 0)
+  );
+  let low = 0;
+  let high = entries.length;
+  let best = await buildMirrorEntry(PAGE_PREFERENCES_KEY, {});
+  while (low <= high) {
+    const count = Math.floor((low + high) / 2);
+    const entry = await buildMirrorEntry(PAGE_PREFERENCES_KEY, Object.fromEntries(entries.slice(0, count)));
+    if (entry.bytes <= budget) {
+      best = entry;
+      low = count + 1;
+    } else {
+      high = count - 1;
+    }
+  }
+  return { entry: best, dropped: entries.length - Object.keys(best.value).length };
+}
+
+async function loadStorageMirrorEnabled() {
+  const stored = await browserApi.storage.local.get({ [STORAGE_MIRROR_ENABLED_KEY]: false });
+  return stored[STORAGE_MIRROR_ENABLED_KEY] === true;
+}
+
+async function loadStorageMirrorState() {
+  const stored = await browserApi.storage.local.get({ [STORAGE_MIRROR_STATE_KEY]: {} });
+  return {
+    keys: {},
+    fallbackKeys: [],
+    droppedOrigins: 0,
+    bytesInUse: 0,
+    lastMirroredAt: null,
+    lastError: null,
+    ...stored[STORAGE_MIRROR_STATE_KEY]
+  };
+}
+
+async function saveStorageMirrorState(state) {
+  await browserApi.storage.local.set({ [STORAGE_MIRROR_STATE_KEY]: state });
+}
+
+function mergePreferenceTombstones(...sources) {
+  const merged = { clearedAt: 0, origins: {} };
+  for (const source of sources) {
+    if (!isPlainObject(source)) {
+      continue;
+    }
+    merged.clearedAt = Math.max(merged.clearedAt, Number(source.clearedAt) || 0);
+    for (const [origin, deletedAt] of Object.entries(isPlainObject(source.origins) ? source.origins : {})) {
+      if (Number.isFinite(deletedAt)) {
+        merged.origins[origin] = Math.max(merged.origins[origin] || 0, deletedAt);
+      }
+    }
+  }
+
+  // すべて削除した時刻より前の記録は不要。残りも新しいものから上限まで残す
+  merged.origins = Object.fromEntries(
+    Object.entries(merged.origins)
+      .filter(([, deletedAt]) => deletedAt > merged.clearedAt)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, PAGE_PREFERENCE_TOMBSTONE_LIMIT)
+  );
+  return merged;
+}
+
+function dropDeletedPreferences(preferences, tombstones) {
+  const kept = {};
+  for (const [origin, entry] of Object.entries(preferences)) {
+    const deletedAt = Math.max(tombstones.clearedAt, tombstones.origins[origin] || 0);
+    if ((entry?.lastUpdated || 0) > deletedAt) {
+      kept[origin] = entry;
+    }
+  }
+  return kept;
+}
+
+async function recordPreferenceDeletion({ origin = null } = {}) {
+  const stored = await browserApi.storage.local.get({ [PAGE_PREFERENCE_TOMBSTONES_KEY]: {} });
+  const deletion = origin ? { origins: { [origin]: Date.now() } } : { clearedAt: Date.now() };
+  await browserApi.storage.local.set({
+    [PAGE_PREFERENCE_TOMBSTONES_KEY]: mergePreferenceTombstones(stored[PAGE_PREFERENCE_TOMBSTONES_KEY], deletion)
+  });
+}
+
+async function pullFromStorageSync(state) {
+  const remote = await browserApi.storage.sync.get(null);
+  const local = await browserApi.storage.local.get(STORAGE_MIRROR_KEYS);
+  const updates = {};
+
+  for (const key of STORAGE_MIRROR_KEYS) {
+    const manifest = remote[`${STORAGE_MIRROR_PREFIX}${key}`];
+    const known = state.keys[key];
+    // 自分が書いた内容か、こちらの方が新しい場合は取り込まない
+    if (!isPlainObject(manifest) || manifest.hash === known?.hash || manifest.modifiedAt <= (known?.modifiedAt || 0)) {
+      continue;
+    }
+
+    const chunks = Array.from({ length: manifest.chunks }, (_, index) => remote[`${STORAGE_MIRROR_PREFIX}${key}:${index}`]);
+    if (chunks.some((chunk) => typeof chunk !== 'string')) {
+      logger.warn('Incomplete storage.sync mirror, skipping', key);
+      continue;
+    }
+
+    let value;
     try {
-      llmSummary = await runGpt5VisualSummary(
-        {
-          title: sanitized.title,
-          bodyText: sanitized.textSample,
-          visualTrend: sanitized.visualTrend,
-          layoutHighlights: sanitized.layoutHighlights
-        },
-        openAiKey
-      );
+      value = JSON.parse(chunks.join(''));
     } catch (error) {
-      logger.warn('LLM visual summary failed for live page', sanitized.url, error);
+      logger.warn('Failed to parse storage.sync mirror', key, error);
+      continue;
+    }
+
+    // サイトごとの設定と削除記録はマージし、他の設定は後から保存された端末の値を採用する
+    if (key === PAGE_PREFERENCES_KEY) {
+      updates[key] = mergeNewerEntries(
+        isPlainObject(local[key]) ? local[key] : {},
+        isPlainObject(value) ? value : {},
+        (entry) => entry?.lastUpdated || 0
+      );
+    } else if (key === PAGE_PREFERENCE_TOMBSTONES_KEY) {
+      updates[key] = mergePreferenceTombstones(local[key], value);
+    } else {
+      updates[key] = restoreMirrorSecrets(key, value, local[key]);
+    }
+    state.keys[key] = { hash: manifest.hash, modifiedAt: manifest.modifiedAt };
+  }
+
+  // どちらかの端末で削除したサイトは、削除より後に更新されていなければ取り込まず、手元からも消す
+  const tombstones = mergePreferenceTombstones(local[PAGE_PREFERENCE_TOMBSTONES_KEY], updates[PAGE_PREFERENCE_TOMBSTONES_KEY]);
+  const preferences = updates[PAGE_PREFERENCES_KEY] || (isPlainObject(local[PAGE_PREFERENCES_KEY]) ? local[PAGE_PREFERENCES_KEY] : {});
+  const alive = dropDeletedPreferences(preferences, tombstones);
+  if (updates[PAGE_PREFERENCES_KEY] || Object.keys(alive).length !== Object.keys(preferences).length) {
+    updates[PAGE_PREFERENCES_KEY] = alive;
+  }
+
+  if (Object.keys(updates).length) {
+    await browserApi.storage.local.set(updates);
+    logger.info('Applied settings from storage.sync', Object.keys(updates));
+  }
+}
+
+async function pushToStorageSync(state) {
+  const local = await browserApi.storage.local.get(STORAGE_MIRROR_KEYS);
+  const remote = await browserApi.storage.sync.get(null);
+  const writes = {};
+  const written = {};
+  const fallbackKeys = [];
+  let usedBytes = 0;
+  let droppedOrigins = 0;
+
+  for (const key of STORAGE_MIRROR_KEYS) {
+    if (local[key] === undefined) {
+      continue;
+    }
+
+    let entry = await buildMirrorEntry(key, stripMirrorSecrets(key, local[key]));
+    if (usedBytes + entry.bytes > STORAGE_MIRROR_TOTAL_BYTES && key === PAGE_PREFERENCES_KEY && isPlainObject(local[key])) {
+      const fitted = await fitPreferencesToBudget(local[key], STORAGE_MIRROR_TOTAL_BYTES - usedBytes);
+      entry = fitted.entry;
+      droppedOrigins = fitted.dropped;
+    }
+    if (usedBytes + entry.bytes > STORAGE_MIRROR_TOTAL_BYTES) {
+      fallbackKeys.push(key);
+      continue;
     }
+    usedBytes += entry.bytes;
+
+    if (entry.hash === state.keys[key]?.hash && remote[`${STORAGE_MIRROR_PREFIX}${key}`]?.hash === entry.hash) {
+      continue;
+    }
+    const modifiedAt = Date.now();
+    writes[`${STORAGE_MIRROR_PREFIX}${key}`] = { chunks: entry.chunks.length, modifiedAt, hash: entry.hash };
+    entry.chunks.forEach((chunk, index) => {
+      writes[`${STORAGE_MIRROR_PREFIX}${key}:${index}`] = chunk;
+    });
+    written[key] = { hash: entry.hash, modifiedAt };
   }
 
-  const record = {
-    id: sanitized.id,
-    url: sanitized.url,
-    origin,
-    source: sanitized.source,
-    title: sanitized.title,
-    extractedAt: sanitized.extractedAt,
-    visualTrend: llmSummary?.visualTrend || sanitized.visualTrend,
-    layoutHighlights: sanitized.layoutHighlights,
-    category: sanitized.category,
-    textSample: sanitized.textSample,
-    viewportSummary: sanitized.viewportSummary,
-    context: sanitized.context,
-    rawLLMResponse: llmSummary?.raw || sanitized.rawLLMResponse
-  };
+  // 書き込まなくなったチャンクと、上限に収まらず storage.local に残すキーの古い複製を消す
+  const stale = Object.keys(remote).filter((remoteKey) => {
+    if (!remoteKey.startsWith(STORAGE_MIRROR_PREFIX) || Object.prototype.hasOwnProperty.call(writes, remoteKey)) {
+      return false;
+    }
+    const [key, index] = remoteKey.slice(STORAGE_MIRROR_PREFIX.length).split(/:(?=\d+$)/);
+    if (fallbackKeys.includes(key) || !STORAGE_MIRROR_KEYS.includes(key)) {
+      return true;
+    }
+    return index !== undefined && written[key] && Number(index) >= writes[`${STORAGE_MIRROR_PREFIX}${key}`].chunks;
+  });
 
-  logger.info('Persisting page analysis', { url: record.url, source: record.source, category: record.category });
-  await savePageFeature(record);
+  if (Object.keys(writes).length) {
+    await browserApi.storage.sync.set(writes);
+    // 自分の書き込みで発生する onChanged はキューの後ろで処理されるため、ここで記録したハッシュで読み飛ばせる
+    Object.assign(state.keys, written);
+  }
+  if (stale.length) {
+    await browserApi.storage.sync.remove(stale);
+  }
+
+  state.fallbackKeys = fallbackKeys;
+  state.droppedOrigins = droppedOrigins;
+  state.bytesInUse = usedBytes;
+  return Object.keys(written);
 }
 
-function derivePageKeyForPreferences(url) {
+async function reconcileStorageMirror() {
+  if (!browserApi.storage?.sync || !(await loadStorageMirrorEnabled())) {
+    return;
+  }
+
+  const state = await loadStorageMirrorState();
   try {
-    return new URL(url).origin;
+    await pullFromStorageSync(state);
+    const pushed = await pushToStorageSync(state);
+    state.lastMirroredAt = Date.now();
+    state.lastError = null;
+    logger.debug('storage.sync mirror reconciled', { pushed, fallbackKeys: state.fallbackKeys });
   } catch (error) {
-    logger.warn('Unable to derive preference key for toolbar personalization', url, error);
-    return url || 'unknown';
+    // 上限超過などで書き込めなくても storage.local の値はそのまま使い続ける
+    logger.warn('Failed to mirror settings to storage.sync, keeping local values', error);
+    state.lastError = { message: error?.message || String(error), at: Date.now() };
   }
+  await saveStorageMirrorState(state);
 }
 
-async function getPreferencesForUrl(url) {
-  const storage = await browserApi.storage.local.get({ [PAGE_PREFERENCES_KEY]: {} });
-  const pageKey = derivePageKeyForPreferences(url);
-  return storage[PAGE_PREFERENCES_KEY][pageKey] || null;
+async function scheduleStorageMirror() {
+  // 操作のたびに pagePreferences が更新されるため、まとめて書き込み回数の上限を避ける。
+  // Service Worker が止まっても実行されるよう alarm を使い、予約済みなら延期せずそのまま待つ
+  if (await browserApi.alarms.get(STORAGE_MIRROR_ALARM_NAME)) {
+    return;
+  }
+  browserApi.alarms.create(STORAGE_MIRROR_ALARM_NAME, { when: Date.now() + STORAGE_MIRROR_DELAY_MS });
 }
 
-async function requestPageSnapshot(tabId) {
+if (browserApi.storage?.onChanged) {
+  browserApi.storage.onChanged.addListener((changes, areaName) => {
+    const changedKeys = Object.keys(changes);
+    if (areaName === 'local' && changedKeys.includes(STORAGE_MIRROR_ENABLED_KEY)) {
+      enqueueTask({ type: 'MIRROR_STORAGE' });
+    } else if (areaName === 'local' && changedKeys.some((key) => STORAGE_MIRROR_KEYS.includes(key))) {
+      void scheduleStorageMirror();
+    } else if (areaName === 'sync' && changedKeys.some((key) => key.startsWith(STORAGE_MIRROR_PREFIX))) {
+      // 他の端末で更新された
+      enqueueTask({ type: 'MIRROR_STORAGE' });
+    }
+  });
+}
+
+async function recordDwellTime({ url, durationMs, endedAt }, { incognito = false } = {}) {
+  if (!url || !Number.isFinite(durationMs) || (await findCollectionBlockReason(url, { incognito }))) {
+    return;
+  }
+
+  let origin;
   try {
-    const response = await browserApi.tabs.sendMessage(tabId, { type: 'REQUEST_PAGE_SNAPSHOT' });
-    return response?.snapshot || null;
+    origin = new URL(url).origin;
   } catch (error) {
-    logger.warn('Page snapshot request failed', tabId, error);
-    return null;
+    logger.warn('Fallback origin used for dwell URL', url, error);
+    origin = url;
+  }
+
+  const storage = await browserApi.storage.local.get({ [PAGE_STATS_KEY]: {} });
+  const stats = storage[PAGE_STATS_KEY];
+  if (!stats[origin]) {
+    stats[origin] = { visits: 0, lastInteraction: null };
   }
+  stats[origin].timeSpentMs = (stats[origin].timeSpentMs || 0) + durationMs;
+  await browserApi.storage.local.set({ [PAGE_STATS_KEY]: stats });
+
+  await saveInteractionLog({
+    url,
+    origin,
+    actionType: 'dwell',
+    meta: { durationMs },
+    timestamp: endedAt
+  });
+  logger.debug('Recorded dwell time', { origin, durationMs, total: stats[origin].timeSpentMs });
 }
 
-async function sendToolbarPersonalization(tab) {
-  if (!tab || typeof tab.id !== 'number') {
+async function removeHistoryData({ allHistory, urls }) {
+  if (allHistory) {
+    // 履歴をすべて消した場合は、閲覧から作ったデータ（訪問回数・滞在時間・クリック位置を含む）も残さず、
+    // 次回は最初から解析し直す。明示的に選んだ表示設定と学習済みの好みは残す
+    for (const storeName of [PAGE_FEATURE_STORE, INTERACTION_STORE]) {
+      await withStore(storeName, 'readwrite', (store) => {
+        store.clear();
+      });
+    }
+    await browserApi.storage.local.remove([HISTORY_SYNC_STATE_KEY, PAGE_STATS_KEY, CLICK_REGIONS_KEY]);
+    logger.info('All history removed, cleared page features, interaction logs and page stats');
     return;
   }
 
-  const preferences = await getPreferencesForUrl(tab.url || '');
-  const historySummary = await gatherHistoryProfileSummary();
-  const pageSnapshot = await requestPageSnapshot(tab.id);
-  let customizationResult = null;
+  let deleted = 0;
+  for (const url of Array.isArray(urls) ? urls : []) {
+    const key = redactUrl(url);
+    deleted += await deleteFromIndex(PAGE_FEATURE_STORE, 'byUrl', key);
+    deleted += await deleteFromIndex(INTERACTION_STORE, 'byUrl', key);
+  }
+  logger.info('Removed records for deleted history entries', { urls: urls?.length || 0, deleted });
+}
 
-  const openAiKey = await loadOpenAiApiKey();
-  if (pageSnapshot && openAiKey) {
-    try {
-      customizationResult = await runGpt5ToolbarCustomization(
-        { pageSnapshot, historySummary },
-        openAiKey
-      );
-    } catch (error) {
-      logger.warn('Toolbar customization LLM failed', tab.url, error);
-    }
+// 表示中のタブの滞在区間。Service Worker が止まっても続きから測れるよう storage.session にも置く
+let activeDwell;
+let dwellUpdateChain = Promise.resolve();
+
+async function loadActiveDwell() {
+  if (activeDwell === undefined) {
+    activeDwell = browserApi.storage?.session
+      ? (await browserApi.storage.session.get({ [ACTIVE_DWELL_SESSION_KEY]: null }))[ACTIVE_DWELL_SESSION_KEY]
+      : null;
   }
+  return activeDwell;
+}
 
-  const payload = {
-    type: 'APPLY_PERSONALIZATION_NOW',
-    preferences,
-    customization: customizationResult?.customization,
-    customizationHistory: historySummary
-  };
+async function saveActiveDwell(segment) {
+  activeDwell = segment;
+  if (browserApi.storage?.session) {
+    await browserApi.storage.session.set({ [ACTIVE_DWELL_SESSION_KEY]: segment });
+  }
+}
 
-  if (customizationResult?.raw) {
-    payload.customizationRaw = customizationResult.raw;
+async function finishDwellSegment() {
+  const segment = await loadActiveDwell();
+  if (!segment) {
+    return;
   }
 
-  try {
-    await browserApi.tabs.sendMessage(tab.id, payload);
-    logger.info('Toolbar customization dispatched', {
-      tabId: tab.id,
-      url: tab.url,
-      customization: customizationResult?.customization
-    });
-  } catch (error) {
-    logger.warn('Failed to send toolbar personalization message', tab?.url, error);
+  await saveActiveDwell(null);
+  const endedAt = Date.now();
+  const durationMs = Math.min(endedAt - segment.startedAt, DWELL_LIMITS.maxSegmentMs);
+  if (durationMs < DWELL_LIMITS.minMs) {
+    return;
   }
+  enqueueTask({
+    type: 'RECORD_DWELL',
+    payload: { url: segment.url, durationMs, endedAt },
+    incognito: segment.incognito
+  });
 }
 
-async function sendPagePersonalization(tab) {
-  // ページ解析・履歴・操作ログから提案を作り、CSS生成まで行って適用を指示する
-  if (!tab || typeof tab.id !== 'number') {
+async function startDwellSegment(tab) {
+  await finishDwellSegment();
+  if (!tab || !/^https?:/.test(tab.url || '')) {
     return;
   }
+  await saveActiveDwell({
+    tabId: tab.id,
+    url: tab.url,
+    incognito: Boolean(tab.incognito),
+    startedAt: Date.now()
+  });
+}
+
+// タブごとに最後に表示したページ。直帰の判定に使い、Service Worker が止まっても残るよう storage.session にも置く
+let tabPages;
+let tabPagesUpdateChain = Promise.resolve();
+
+async function loadTabPages() {
+  if (tabPages === undefined) {
+    tabPages = browserApi.storage?.session
+      ? (await browserApi.storage.session.get({ [TAB_PAGES_SESSION_KEY]: {} }))[TAB_PAGES_SESSION_KEY]
+      : {};
+  }
+  return tabPages;
+}
 
-  const pageSnapshot = await requestPageSnapshot(tab.id);
-  if (!pageSnapshot) {
-    logger.warn('No page snapshot available for personalization', tab.url);
+function updateTabPages(update) {
+  tabPagesUpdateChain = tabPagesUpdateChain
+    .then(async () => {
+      const pages = await loadTabPages();
+      await update(pages);
+      if (browserApi.storage?.session) {
+        await browserApi.storage.session.set({ [TAB_PAGES_SESSION_KEY]: pages });
+      }
+    })
+    .catch((error) => {
+      logger.warn('Failed to update tab pages', error);
+    });
+  return tabPagesUpdateChain;
+}
+
+async function detectBounce(pages, { tabId, url, transitionQualifiers }) {
+  const previous = pages[tabId];
+  const committedAt = Date.now();
+  pages[tabId] = { url, committedAt };
+
+  // ページ内の Navigation API ではブラウザの戻るボタンによる移動を拾えないため、確定した遷移の種類で判定する
+  if (
+    !previous ||
+    previous.url === url ||
+    !/^https?:/.test(previous.url) ||
+    !(transitionQualifiers || []).includes('forward_back')
+  ) {
+    return;
+  }
+  const stayMs = committedAt - previous.committedAt;
+  if (stayMs >= BOUNCE_STAY_LIMIT_MS) {
+    return;
+  }
+
+  let incognito = false;
+  try {
+    incognito = Boolean((await browserApi.tabs.get(tabId)).incognito);
+  } catch (error) {
+    logger.debug('Tab closed before recording bounce', tabId, error);
+  }
+  enqueueTask({
+    type: 'USER_ACTION',
+    payload: { url: previous.url, type: 'bounce', meta: { stayMs } },
+    incognito
+  });
+}
+
+function updateDwell(update) {
+  // タブ関連のイベントは立て続けに届くため、区間の開始・終了を順番に処理する
+  dwellUpdateChain = dwellUpdateChain.then(update).catch((error) => {
+    logger.warn('Failed to update dwell tracking', error);
+  });
+  return dwellUpdateChain;
+}
+
+async function recordInteraction(action) {
+  const { url, type, meta } = action;
+  if (!url) {
     return;
   }
 
   const origin = (() => {
     try {
-      return new URL(pageSnapshot.url || tab.url || '').origin;
+      return new URL(url).origin;
     } catch (error) {
-      return pageSnapshot.url || tab.url || '';
+      logger.warn('Fallback origin used for interaction URL', url, error);
+      return url;
     }
   })();
 
-  const similarEntries = await getSimilarHistoryEntries(pageSnapshot.category, pageSnapshot.url);
-  const historySummary = summarizeHistoryEntries(similarEntries);
-  const interactionLogs = await getRecentInteractionLogs(pageSnapshot.url, origin);
-  const interactionSummary = buildInteractionSummary(interactionLogs);
+  await saveInteractionLog({
+    url,
+    origin,
+    actionType: type,
+    meta,
+    timestamp: Date.now()
+  });
+}
 
-  const apiKey = await loadOpenAiApiKey();
-  if (!apiKey) {
-    logger.warn('OpenAI API key missing, skipping page personalization');
-    return;
-  }
+function persistQueueSnapshot() {
+  browserApi.storage.local
+    // インポートするプロファイルのように大きく、呼び出し元がいないと意味のないタスクは保存しない
+    .set({ [ACTION_QUEUE_KEY]: taskQueue.filter((task) => !task.transient) })
+    .then(() => {
+      logger.debug('Queue snapshot persisted', taskQueue.length);
+    })
+    .catch((error) => {
+      logger.error('Failed to persist queue snapshot', error);
+    });
+}
 
-  const proposalResult = await runGpt5PageCustomizationProposal(
-    { pageSnapshot, historySummary, interactionSummary },
-    apiKey
-  );
-  if (!proposalResult?.proposal) {
-    logger.warn('No proposal generated for page personalization');
-    return;
+function withDataLock(task) {
+  // 保存データの読み込みから書き戻しまでを、他の書き込みと交互にならないように実行する。
+  // 中で withDataLock を呼ぶと自分を待って止まるため、入れ子にしない
+  const run = dataLock.then(task);
+  dataLock = run.catch(() => {});
+  return run;
+}
+
+function runQueuedTask(task) {
+  // 保存データを書き換える操作をキューの順番で実行し、終わったら結果を返す
+  return new Promise((resolve, reject) => {
+    const id = generateId();
+    taskWaiters.set(id, { resolve, reject });
+    enqueueTask({ ...task, id });
+  });
+}
+
+function enqueueTask(task, options = { persist: true }) {
+  logger.debug('Enqueue task', task.type, { persist: options.persist });
+  taskQueue.push(task);
+  if (options.persist) {
+    persistQueueSnapshot();
   }
+  logger.debug('Queue length', taskQueue.length);
+  processQueue();
+}
 
-  const cssText = await runGpt5PageCss({ pageSnapshot, proposal: proposalResult.proposal }, apiKey);
-  if (!cssText) {
-    logger.warn('No CSS generated for page personalization');
+async function processQueue() {
+  if (processing || taskQueue.length === 0) {
+    logger.debug('Skipping queue processing', { processing, length: taskQueue.length });
     return;
   }
 
+  processing = true;
+  const task = taskQueue.shift();
+  persistQueueSnapshot();
+  logger.debug('Processing task', task.type, 'Remaining queue length', taskQueue.length);
+
   try {
-    await browserApi.tabs.sendMessage(tab.id, {
-      type: 'APPLY_PAGE_PERSONALIZATION',
-      css: cssText,
-      proposal: proposalResult.proposal,
-      rationale: proposalResult.rationale,
-      historySummary,
-      interactionSummary
-    });
-    logger.info('Page personalization applied', { tabId: tab.id, url: tab.url });
+    if (HISTORY_EXCLUSIVE_TASKS.has(task.type)) {
+      // 新しい差分解析はキューからしか始まらないため、待っている間に別の解析が走ることはない
+      await historySyncRun;
+    }
+    const result = await withDataLock(() => runTask(task));
+    taskWaiters.get(task.id)?.resolve(result);
   } catch (error) {
-    logger.warn('Failed to send page personalization', tab.url, error);
+    logger.error('Failed to process task', task, error);
+    scheduleTaskRetry(task, error);
+    taskWaiters.get(task.id)?.reject(error);
+  } finally {
+    taskWaiters.delete(task.id);
+    processing = false;
+    logger.debug('Task finished', task.type);
+    if (taskQueue.length > 0) {
+      processQueue();
+    }
   }
 }
 
-async function recordInteraction(action) {
-  const { url, type, meta } = action;
-  if (!url) {
-    return;
+async function runTask(task) {
+  switch (task.type) {
+    case 'USER_ACTION':
+      await handleUserAction(task.payload, { incognito: task.incognito });
+      break;
+    case 'SYNC_HISTORY':
+      handleHistorySync(task);
+      break;
+    case 'PRUNE_STORAGE':
+      await applyRetentionPolicy();
+      break;
+    case 'SYNC_PROFILE':
+      await syncProfile();
+      break;
+    case 'MIRROR_STORAGE':
+      await reconcileStorageMirror();
+      break;
+    case 'RECORD_DWELL':
+      await recordDwellTime(task.payload, { incognito: task.incognito });
+      break;
+    case 'REMOVE_HISTORY_DATA':
+      await removeHistoryData(task.payload);
+      break;
+    case 'PAGE_ANALYSIS':
+      await handlePageAnalysis(task.payload, { incognito: task.incognito });
+      break;
+    case 'DELETE_ORIGIN_DATA':
+      return deleteOriginData(task.payload?.origin);
+    case 'DELETE_ALL_DATA':
+      return deleteAllData();
+    case 'IMPORT_PROFILE':
+      return importProfile(task.payload?.profile, task.payload?.mode);
+    default:
+      logger.warn('Unknown task type received', task.type);
+  }
+}
+
+function extractPreferenceSignals(type, meta) {
+  const signals = [];
+  const addScaleSignals = (scale, weight) => {
+    if (!Number.isFinite(scale) || scale <= 0) {
+      return;
+    }
+    const clamped = Math.min(Math.max(scale, PREFERENCE_FONT_SCALE_RANGE.min), PREFERENCE_FONT_SCALE_RANGE.max);
+    signals.push({ dimension: 'fontScale', value: clamped, weight });
+    // 大きく拡大して読む人は、余白が多くコントラストの高い表示を好むとみなす
+    if (clamped >= 1.25) {
+      signals.push({ dimension: 'density', value: -1, weight: weight / 2 });
+      signals.push({ dimension: 'contrast', value: 1, weight: weight / 4 });
+    }
+  };
+
+  switch (type) {
+    case 'zoom':
+      addScaleSignals(meta?.scale, 1);
+      break;
+    case 'page-zoom':
+      // ブラウザのズームはサイトごとに保存される意図的な調整なので、ピンチより重く扱う
+      addScaleSignals(meta?.zoomFactor, 2);
+      break;
+    case 'display-settings':
+      // ブラウザ設定の既定の文字サイズやコントラストは、サイトを問わない明示的な好みなので最も重く扱う
+      addScaleSignals(meta?.defaultFontPx / 16, 3);
+      if (meta?.moreContrast || meta?.forcedColors) {
+        signals.push({ dimension: 'contrast', value: 1, weight: 3 });
+      } else if (meta?.lessContrast) {
+        signals.push({ dimension: 'contrast', value: -1, weight: 3 });
+      }
+      break;
+    case 'reading-time': {
+      const minutes = Math.min((meta?.activeMs || 0) / 60000, 5);
+      if (typeof meta?.darkPage === 'boolean' && minutes > 0) {
+        signals.push({ dimension: 'theme', value: meta.darkPage ? 1 : -1, weight: minutes });
+      }
+      if (minutes >= 3) {
+        signals.push({ dimension: 'density', value: 1, weight: 0.5 });
+      }
+      break;
+    }
+    case 'bounce':
+      signals.push({ dimension: 'density', value: -1, weight: 0.5 });
+      break;
+    case 'click':
+      if (isNonEmptyString(meta?.preferredColor) && !/^(transparent|rgba\(0, 0, 0, 0\))$/.test(meta.preferredColor)) {
+        signals.push({ dimension: 'color', value: meta.preferredColor, weight: 1 });
+      }
+      break;
+    default:
+      break;
+  }
+  return signals;
+}
+
+function applyPreferenceSignals(entry, signals, timestamp) {
+  const next = {
+    ...entry,
+    dimensions: { ...(entry?.dimensions || {}) },
+    colors: { ...(entry?.colors || {}) },
+    updatedAt: timestamp
+  };
+
+  for (const { dimension, value, weight } of signals) {
+    if (dimension === 'color') {
+      next.colors[value] = Math.min((next.colors[value] || 0) + weight, PREFERENCE_WEIGHT_CAP);
+      continue;
+    }
+    const current = next.dimensions[dimension] || { value: 0, weight: 0 };
+    const total = current.weight + weight;
+    const cappedWeight = Math.min(total, PREFERENCE_WEIGHT_CAP);
+    next.dimensions[dimension] = {
+      value: Number(((current.value * current.weight + value * weight) / total).toFixed(3)),
+      weight: cappedWeight,
+      confidence: toPreferenceConfidence(cappedWeight)
+    };
+  }
+
+  // 色は上位のものだけ残し、最上位の色の確信度を一緒に保存する
+  const colors = Object.entries(next.colors).sort(([, a], [, b]) => b - a);
+  next.colors = Object.fromEntries(colors.slice(0, 10));
+  next.highlight = colors.length ? { color: colors[0][0], confidence: toPreferenceConfidence(colors[0][1]) } : null;
+  return next;
+}
+
+function toPreferenceConfidence(weight) {
+  return Number((1 - Math.exp(-(weight || 0) / PREFERENCE_CONFIDENCE_SCALE)).toFixed(2));
+}
+
+function resolvePreferenceProfile(model, origin) {
+  // サイト単位の根拠が足りない次元は、同じカテゴリのサイトで学んだ値で補う
+  const originEntry = model?.origins?.[origin];
+  const categoryEntry = originEntry?.category ? model?.categories?.[originEntry.category] : null;
+  const profile = { category: originEntry?.category || null, dimensions: {}, highlightColor: null };
+
+  for (const dimension of PREFERENCE_DIMENSIONS) {
+    const candidates = [
+      { source: 'origin', learned: originEntry?.dimensions?.[dimension] },
+      { source: 'category', learned: categoryEntry?.dimensions?.[dimension] }
+    ]
+      .filter(({ learned }) => learned)
+      .map(({ source, learned }) => ({
+        source,
+        value: learned.value,
+        confidence: learned.confidence ?? toPreferenceConfidence(learned.weight)
+      }));
+    const best = candidates.find(({ confidence }) => confidence >= PREFERENCE_APPLY_CONFIDENCE) || candidates[0];
+    if (best) {
+      profile.dimensions[dimension] = best;
+    }
   }
 
-  const origin = (() => {
-    try {
-      return new URL(url).origin;
-    } catch (error) {
-      logger.warn('Fallback origin used for interaction URL', url, error);
-      return url;
+  for (const entry of [originEntry, categoryEntry]) {
+    // 確信度を保存する前に学習したエントリは、色の重みから求める
+    const [color, weight] = Object.entries(entry?.colors || {}).sort(([, a], [, b]) => b - a)[0] || [];
+    const highlight = entry?.highlight ?? (color ? { color, confidence: toPreferenceConfidence(weight) } : null);
+    if (highlight && highlight.confidence >= PREFERENCE_APPLY_CONFIDENCE) {
+      profile.highlightColor = highlight.color;
+      break;
     }
-  })();
+  }
+  return profile;
+}
 
-  await saveInteractionLog({
-    url,
-    origin,
-    actionType: type,
-    meta,
-    timestamp: Date.now()
+function summarizePreferenceProfile(profile) {
+  const sourceLabels = { origin: 'サイト', category: 'カテゴリ' };
+  const describeScore = (value, positive, negative) =>
+    Math.abs(value) < 0.2 ? '中立' : value > 0 ? positive : negative;
+  const formatters = {
+    fontScale: ({ value }) => `文字の大きさ: ${value.toFixed(2)}倍`,
+    contrast: ({ value }) => `コントラスト: ${describeScore(value, '高め', '控えめ')}`,
+    density: ({ value }) => `情報密度: ${describeScore(value, '詰める', 'ゆったり')}`,
+    theme: ({ value }) => `配色: ${describeScore(value, 'ダーク', 'ライト')}`
+  };
+
+  const lines = PREFERENCE_DIMENSIONS.filter((dimension) => profile.dimensions[dimension]).map((dimension) => {
+    const learned = profile.dimensions[dimension];
+    return `${formatters[dimension](learned)}（確信度 ${learned.confidence}・${sourceLabels[learned.source]}）`;
   });
+  return lines.length ? lines.join(' / ') : '学習した好みなし';
 }
 
-function persistQueueSnapshot() {
-  browserApi.storage.local
-    .set({ [ACTION_QUEUE_KEY]: [...taskQueue] })
-    .then(() => {
-      logger.debug('Queue snapshot persisted', taskQueue.length);
-    })
-    .catch((error) => {
-      logger.error('Failed to persist queue snapshot', error);
-    });
+async function loadPreferenceSummary(origin) {
+  const storage = await browserApi.storage.local.get({ [PREFERENCE_MODEL_KEY]: {} });
+  return summarizePreferenceProfile(resolvePreferenceProfile(storage[PREFERENCE_MODEL_KEY], origin));
 }
 
-function enqueueTask(task, options = { persist: true }) {
-  logger.debug('Enqueue task', task.type, { persist: options.persist });
-  taskQueue.push(task);
-  if (options.persist) {
-    persistQueueSnapshot();
+async function rememberOriginCategory(origin, category) {
+  if (!isNonEmptyString(category)) {
+    return;
   }
-  logger.debug('Queue length', taskQueue.length);
-  processQueue();
-}
-
-async function processQueue() {
-  if (processing || taskQueue.length === 0) {
-    logger.debug('Skipping queue processing', { processing, length: taskQueue.length });
+  const storage = await browserApi.storage.local.get({ [PREFERENCE_MODEL_KEY]: {} });
+  const model = storage[PREFERENCE_MODEL_KEY];
+  model.origins = model.origins || {};
+  if (model.origins[origin]?.category === category) {
     return;
   }
+  model.origins[origin] = { ...(model.origins[origin] || {}), category };
+  // それまでの学習結果を新しいカテゴリへ移し、前のカテゴリからは外す
+  model.categories = rebuildCategoryPreferences(model.origins);
+  await browserApi.storage.local.set({ [PREFERENCE_MODEL_KEY]: model });
+}
 
-  processing = true;
-  const task = taskQueue.shift();
-  persistQueueSnapshot();
-  logger.debug('Processing task', task.type, 'Remaining queue length', taskQueue.length);
-
-  try {
-    switch (task.type) {
-      case 'USER_ACTION':
-        await handleUserAction(task.payload);
-        break;
-      case 'SYNC_HISTORY':
-        await handleHistorySync();
-        break;
-      case 'PAGE_ANALYSIS':
-        await handlePageAnalysis(task.payload);
-        break;
-      default:
-        logger.warn('Unknown task type received', task.type);
+function rebuildCategoryPreferences(origins) {
+  // 各サイトの学習結果を重み付きで合算し直す。合算できる元がないカテゴリは消える
+  const categories = {};
+  for (const entry of Object.values(origins)) {
+    if (!entry?.category) {
+      continue;
     }
-  } catch (error) {
-    logger.error('Failed to process task', task, error);
-  } finally {
-    processing = false;
-    logger.debug('Task finished', task.type);
-    if (taskQueue.length > 0) {
-      processQueue();
+    const signals = [
+      ...Object.entries(entry.dimensions || {})
+        .filter(([, learned]) => learned.weight > 0)
+        .map(([dimension, learned]) => ({ dimension, value: learned.value, weight: learned.weight })),
+      ...Object.entries(entry.colors || {}).map(([color, weight]) => ({ dimension: 'color', value: color, weight }))
+    ];
+    if (!signals.length) {
+      continue;
     }
+    const current = categories[entry.category];
+    categories[entry.category] = applyPreferenceSignals(
+      current,
+      signals,
+      Math.max(current?.updatedAt || 0, entry.updatedAt || 0)
+    );
+  }
+  return categories;
+}
+
+function updatePreferenceModel(model, origin, type, meta, timestamp) {
+  const signals = extractPreferenceSignals(type, meta);
+  if (!signals.length) {
+    return model;
+  }
+
+  const next = { origins: { ...(model?.origins || {}) }, categories: { ...(model?.categories || {}) } };
+  next.origins[origin] = applyPreferenceSignals(next.origins[origin], signals, timestamp);
+  const category = next.origins[origin].category;
+  if (category) {
+    next.categories[category] = applyPreferenceSignals(next.categories[category], signals, timestamp);
   }
+  return next;
 }
 
-async function handleUserAction(action) {
+async function handleUserAction(action, { incognito = false } = {}) {
   const { valid, sanitized, reason } = validateUserActionPayload(action);
   if (!valid) {
     logger.warn('Discarded user action payload', reason, action);
     return;
   }
 
+  const blockReason = await findCollectionBlockReason(sanitized.url, { incognito });
+  if (blockReason) {
+    logger.debug('Discarded user action for excluded page', blockReason);
+    return;
+  }
+
   const { url, type, meta } = sanitized;
   const storage = await browserApi.storage.local.get({
     [PAGE_STATS_KEY]: {},
-    [PAGE_PREFERENCES_KEY]: {}
+    [PAGE_PREFERENCES_KEY]: {},
+    [CLICK_REGIONS_KEY]: {},
+    [PREFERENCE_MODEL_KEY]: {}
   });
 
   const stats = storage[PAGE_STATS_KEY];
   const preferences = storage[PAGE_PREFERENCES_KEY];
+  const clickRegions = storage[CLICK_REGIONS_KEY];
   let pageKey;
   try {
     pageKey = new URL(url).origin;
@@ -1446,58 +5132,140 @@ async function handleUserAction(action) {
     stats[pageKey] = { visits: 0, lastInteraction: null };
   }
 
-  stats[pageKey].visits += 1;
+  if (!PASSIVE_ACTION_TYPES.has(type)) {
+    stats[pageKey].visits += 1;
+  }
+  // ページの文言は暗号化する操作ログにだけ残し、ここには数値だけを置く
   stats[pageKey].lastInteraction = {
     type,
-    meta: sanitizeMeta(meta),
+    meta: pickFiniteNumbers(meta),
     timestamp: Date.now()
   };
 
-  // ランダムな閾値で好みの色を決めるサンプルロジック
-  if (stats[pageKey].visits >= 3) {
+  const model = updatePreferenceModel(storage[PREFERENCE_MODEL_KEY], pageKey, type, meta, Date.now());
+  // 同じ色のクリックが十分に集まったときだけハイライト色を決める
+  const { highlightColor } = resolvePreferenceProfile(model, pageKey);
+  if (highlightColor && preferences[pageKey]?.highlightColor !== highlightColor) {
     preferences[pageKey] = {
-      highlightColor: meta?.preferredColor || '#fff6d5',
+      highlightColor,
       lastUpdated: Date.now()
     };
   }
 
+  if (type === 'click') {
+    clickRegions[pageKey] = recordClickRegion(
+      clickRegions[pageKey],
+      { ...meta, label: await sealStoredText(meta.label) },
+      Date.now()
+    );
+  }
+
   await browserApi.storage.local.set({
     [PAGE_STATS_KEY]: stats,
-    [PAGE_PREFERENCES_KEY]: preferences
+    [PAGE_PREFERENCES_KEY]: preferences,
+    [CLICK_REGIONS_KEY]: clickRegions,
+    [PREFERENCE_MODEL_KEY]: model
   });
 
   logger.info('Recorded user action', { pageKey, type, visits: stats[pageKey].visits });
   await recordInteraction({ url, type, meta });
 }
 
-async function handleHistorySync() {
-  await analyzeRecentHistory();
+function handleHistorySync(task) {
+  // ページ取得と LLM 呼び出しで時間がかかるため、キューを塞がずに裏で走らせ、同時には 1 つだけ動かす。
+  // 保存データへの書き込みは withDataLock でキューのタスクと順番に行う
+  if (!historySyncRun) {
+    historySyncRun = analyzeRecentHistory()
+      .catch((error) => {
+        logger.error('Failed to process task', task, error);
+        scheduleTaskRetry(task, error);
+      })
+      .finally(() => {
+        historySyncRun = null;
+      });
+  }
+}
+
+async function scheduleHistoryVisitSync() {
+  // 訪問のたびに解析せず、最初の訪問から少し待って差分解析をまとめて走らせる。
+  // Service Worker が止まっても実行されるよう alarm を使い、予約済みなら延期しない
+  if (await browserApi.alarms.get(HISTORY_VISIT_ALARM_NAME)) {
+    return;
+  }
+  browserApi.alarms.create(HISTORY_VISIT_ALARM_NAME, { when: Date.now() + HISTORY_VISIT_DELAY_MS });
 }
 
 browserApi.runtime.onInstalled.addListener(() => {
   browserApi.alarms.create('history-sync', { periodInMinutes: 5 });
+  browserApi.alarms.create(RETENTION_ALARM_NAME, { periodInMinutes: RETENTION_INTERVAL_MINUTES });
+  browserApi.alarms.create(SYNC_ALARM_NAME, { periodInMinutes: SYNC_INTERVAL_MINUTES });
   enqueueTask({ type: 'SYNC_HISTORY' });
+  enqueueTask({ type: 'MIRROR_STORAGE' });
   registerContextMenu();
 });
 
 if (browserApi.runtime.onStartup) {
   browserApi.runtime.onStartup.addListener(() => {
     enqueueTask({ type: 'SYNC_HISTORY' });
+    enqueueTask({ type: 'MIRROR_STORAGE' });
     registerContextMenu();
   });
 }
 
 browserApi.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'history-sync') {
+  if (alarm.name === 'history-sync' || alarm.name === HISTORY_VISIT_ALARM_NAME) {
     enqueueTask({ type: 'SYNC_HISTORY' });
+  } else if (alarm.name === RETENTION_ALARM_NAME) {
+    enqueueTask({ type: 'PRUNE_STORAGE' });
+  } else if (alarm.name === SYNC_ALARM_NAME) {
+    enqueueTask({ type: 'SYNC_PROFILE' });
+  } else if (alarm.name === STORAGE_MIRROR_ALARM_NAME) {
+    enqueueTask({ type: 'MIRROR_STORAGE' });
+  } else if (alarm.name.startsWith(TASK_RETRY_ALARM_PREFIX)) {
+    const [type, attempt] = alarm.name.slice(TASK_RETRY_ALARM_PREFIX.length).split(':');
+    enqueueTask({ type, attempt: Number(attempt) || 0 });
   }
 });
 
+// 保存データの書き出し・取り込み・削除や暗号化の操作は、ポップアップとオプション画面からだけ受け付ける
+const EXTENSION_PAGE_MESSAGES = new Set([
+  'TEST_LLM_CONNECTION',
+  'EXPORT_PROFILE',
+  'IMPORT_PROFILE',
+  'LIST_TRACKED_ORIGINS',
+  'GET_ORIGIN_DATA',
+  'DELETE_ORIGIN_DATA',
+  'DELETE_ALL_DATA',
+  'ENABLE_ENCRYPTION',
+  'UNLOCK_ENCRYPTION',
+  'DISABLE_ENCRYPTION',
+  'LOCK_ENCRYPTION',
+  'SEAL_SECRET',
+  'SYNC_NOW',
+  'APPLY_RETENTION_NOW',
+  'PURGE_LLM_CACHE'
+]);
+
+function isExtensionPageSender(sender) {
+  if (typeof sender?.url !== 'string' || !sender.url.startsWith(browserApi.runtime.getURL(''))) {
+    return false;
+  }
+  // オプション画面はタブで開くため、タブの最上位に読み込まれた拡張機能のページは受け付け、
+  // Web ページに埋め込まれた拡張機能のページ（iframe）からは受け付けない
+  return !sender.tab || sender.frameId === 0;
+}
+
 browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || !message.type) {
     return;
   }
 
+  if (EXTENSION_PAGE_MESSAGES.has(message.type) && !isExtensionPageSender(sender)) {
+    logger.warn('Rejected message from a non-extension page', message.type, sender?.url);
+    sendResponse({ error: 'forbidden' });
+    return;
+  }
+
   switch (message.type) {
     case 'USER_ACTION': {
       enqueueTask({
@@ -1505,7 +5273,8 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
         payload: {
           ...message.payload,
           url: message.payload?.url || sender?.tab?.url || 'about:blank'
-        }
+        },
+        incognito: Boolean(sender?.tab?.incognito)
       });
       sendResponse({ status: 'queued' });
       break;
@@ -1513,7 +5282,8 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'PAGE_ANALYSIS': {
       enqueueTask({
         type: 'PAGE_ANALYSIS',
-        payload: message.payload
+        payload: message.payload,
+        incognito: Boolean(sender?.tab?.incognito)
       });
       sendResponse({ status: 'queued' });
       break;
@@ -1528,9 +5298,37 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
           logger.warn('Failed to derive personalization key from URL', message.url, error);
           pageKey = message.url;
         }
+        const acceptedStyle = await findAcceptedStyleForUrl(message.url);
         sendResponse({
-          preferences: storage[PAGE_PREFERENCES_KEY][pageKey] || null
+          preferences: storage[PAGE_PREFERENCES_KEY][pageKey] || null,
+          acceptedStyle
+        });
+      })();
+      return true;
+    }
+    case 'ACCEPT_PAGE_STYLE': {
+      (async () => {
+        const style = await saveAcceptedStyle({
+          ...message.payload,
+          url: message.payload?.url || sender?.tab?.url
+        });
+        sendResponse({ style });
+      })();
+      return true;
+    }
+    case 'FORGET_ACCEPTED_STYLE': {
+      (async () => {
+        const removed = await removeAcceptedStyle(message.url || sender?.tab?.url, message.styleId);
+        sendResponse({ removed });
+      })();
+      return true;
+    }
+    case 'GET_COLLECTION_STATUS': {
+      (async () => {
+        const reason = await findCollectionBlockReason(message.url || sender?.tab?.url || '', {
+          incognito: Boolean(sender?.tab?.incognito)
         });
+        sendResponse({ allowed: !reason, reason });
       })();
       return true;
     }
@@ -1545,6 +5343,31 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
       })();
       return true;
     }
+    case 'UNDO_PAGE_PERSONALIZATION':
+    case 'REDO_PAGE_PERSONALIZATION':
+    case 'RESTORE_ORIGINAL_PAGE':
+    case 'GET_PERSONALIZATION_HISTORY': {
+      (async () => {
+        const tabId = typeof message.tabId === 'number' ? message.tabId : sender?.tab?.id;
+        const history = await sendPersonalizationHistoryCommand(tabId, message.type);
+        sendResponse({ history });
+      })();
+      return true;
+    }
+    case 'GET_PAGE_PREVIEW':
+    case 'GENERATE_PAGE_PREVIEW':
+    case 'APPLY_PAGE_PREVIEW':
+    case 'APPLY_HIGHLIGHT_PREVIEW': {
+      (async () => {
+        try {
+          sendResponse(await handlePopupCommand(message));
+        } catch (error) {
+          logger.error('Popup command failed', message.type, error);
+          sendResponse({ error: 'unexpected' });
+        }
+      })();
+      return true;
+    }
     case 'GET_DIAGNOSTICS': {
       (async () => {
         const snapshot = await buildDiagnosticsSnapshot();
@@ -1552,6 +5375,198 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
       })();
       return true;
     }
+    case 'TEST_LLM_CONNECTION': {
+      (async () => {
+        try {
+          sendResponse(await testLlmConnection(message.config));
+        } catch (error) {
+          logger.error('LLM connection test failed', error);
+          sendResponse({ ok: false, code: 'unexpected', message: error?.message || String(error) });
+        }
+      })();
+      return true;
+    }
+    case 'GET_LLM_PROVIDERS': {
+      sendResponse({ providers: describeLlmProviders(), defaultProvider: DEFAULT_LLM_PROVIDER_ID });
+      break;
+    }
+    case 'EXPORT_PROFILE': {
+      (async () => {
+        try {
+          sendResponse({ profile: await exportProfile() });
+        } catch (error) {
+          logger.error('Failed to export profile', error);
+          sendResponse({ error: error?.message || 'export failed' });
+        }
+      })();
+      return true;
+    }
+    case 'IMPORT_PROFILE': {
+      (async () => {
+        try {
+          sendResponse(
+            await runQueuedTask({
+              type: 'IMPORT_PROFILE',
+              payload: { profile: message.profile, mode: message.mode },
+              transient: true
+            })
+          );
+        } catch (error) {
+          logger.error('Failed to import profile', error);
+          sendResponse({ error: error?.message || 'import failed' });
+        }
+      })();
+      return true;
+    }
+    case 'LIST_TRACKED_ORIGINS': {
+      (async () => {
+        try {
+          sendResponse({ origins: await listTrackedOrigins() });
+        } catch (error) {
+          logger.error('Failed to list tracked origins', error);
+          sendResponse({ error: error?.message || 'list failed' });
+        }
+      })();
+      return true;
+    }
+    case 'GET_ORIGIN_DATA': {
+      (async () => {
+        try {
+          sendResponse({ data: await getOriginData(message.origin) });
+        } catch (error) {
+          logger.error('Failed to load origin data', message.origin, error);
+          sendResponse({ error: error?.message || 'load failed' });
+        }
+      })();
+      return true;
+    }
+    case 'DELETE_ORIGIN_DATA': {
+      (async () => {
+        try {
+          sendResponse({
+            removed: await runQueuedTask({ type: 'DELETE_ORIGIN_DATA', payload: { origin: message.origin } })
+          });
+        } catch (error) {
+          logger.error('Failed to delete origin data', message.origin, error);
+          sendResponse({ error: error?.message || 'delete failed' });
+        }
+      })();
+      return true;
+    }
+    case 'DELETE_ALL_DATA': {
+      (async () => {
+        try {
+          await runQueuedTask({ type: 'DELETE_ALL_DATA' });
+          sendResponse({ deleted: true });
+        } catch (error) {
+          logger.error('Failed to delete all data', error);
+          sendResponse({ error: error?.message || 'delete failed' });
+        }
+      })();
+      return true;
+    }
+    case 'GET_ENCRYPTION_STATUS': {
+      (async () => {
+        sendResponse(await describeEncryptionStatus());
+      })();
+      return true;
+    }
+    case 'ENABLE_ENCRYPTION':
+    case 'UNLOCK_ENCRYPTION':
+    case 'DISABLE_ENCRYPTION': {
+      (async () => {
+        try {
+          // 保存データを暗号化・復号し直している間に、キューのタスクが古い内容で書き戻さないようにする
+          if (message.type === 'ENABLE_ENCRYPTION') {
+            await withDataLock(() => enableEncryption(message.passphrase));
+          } else {
+            const run = message.type === 'UNLOCK_ENCRYPTION' ? unlockEncryption : disableEncryption;
+            if (!(await withDataLock(() => run(message.passphrase)))) {
+              sendResponse({ error: 'wrong-passphrase' });
+              return;
+            }
+          }
+          sendResponse(await describeEncryptionStatus());
+        } catch (error) {
+          logger.warn('Encryption command failed', message.type, error);
+          sendResponse({ error: error?.message || 'encryption failed' });
+        }
+      })();
+      return true;
+    }
+    case 'LOCK_ENCRYPTION': {
+      (async () => {
+        await clearSessionEncryptionKey();
+        sendResponse(await describeEncryptionStatus());
+      })();
+      return true;
+    }
+    case 'SEAL_SECRET': {
+      (async () => {
+        try {
+          sendResponse({ sealed: await sealSecret(message.value) });
+        } catch (error) {
+          sendResponse({ error: error?.message || 'seal failed' });
+        }
+      })();
+      return true;
+    }
+    case 'GET_SYNC_STATUS': {
+      (async () => {
+        sendResponse({
+          backends: Object.entries(SYNC_BACKENDS).map(([id, backend]) => ({ id, label: backend.label })),
+          state: await loadSyncState()
+        });
+      })();
+      return true;
+    }
+    case 'SYNC_NOW': {
+      (async () => {
+        try {
+          sendResponse({ result: await syncProfile() });
+        } catch (error) {
+          logger.warn('Manual profile sync failed', error);
+          scheduleTaskRetry({ type: 'SYNC_PROFILE' }, error);
+          sendResponse({ error: error?.message || 'sync failed', retrying: Boolean(error?.retryable) });
+        }
+      })();
+      return true;
+    }
+    case 'APPLY_RETENTION_NOW': {
+      (async () => {
+        try {
+          const { pageFeatures, interactionLogs } = await applyRetentionPolicy();
+          sendResponse({ deleted: pageFeatures.deleted + interactionLogs.deleted });
+        } catch (error) {
+          logger.error('Failed to apply retention policy', error);
+          sendResponse({ error: error?.message || 'retention failed' });
+        }
+      })();
+      return true;
+    }
+    case 'GET_REDACTION_RULES': {
+      sendResponse({ rules: describeRedactionRules() });
+      break;
+    }
+    case 'GET_LLM_TASKS': {
+      sendResponse({
+        tasks: describeLlmTasks(),
+        limits: { maxOutputTokens: LLM_MAX_OUTPUT_TOKENS_RANGE, temperature: LLM_TEMPERATURE_RANGE }
+      });
+      break;
+    }
+    case 'PURGE_LLM_CACHE': {
+      (async () => {
+        try {
+          const removed = await purgeLlmCache();
+          sendResponse({ removed });
+        } catch (error) {
+          logger.error('Failed to purge LLM cache', error);
+          sendResponse({ error: error?.message || 'purge failed' });
+        }
+      })();
+      return true;
+    }
     default:
       logger.warn('Unhandled message type', message.type);
   }
@@ -1567,11 +5582,99 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 })();
 
-const toolbarActionApi = browserApi.browserAction || browserApi.action;
-if (toolbarActionApi?.onClicked) {
-  toolbarActionApi.onClicked.addListener((tab) => {
-    sendToolbarPersonalization(tab);
-    sendPagePersonalization(tab);
+if (browserApi.tabs?.onRemoved) {
+  browserApi.tabs.onRemoved.addListener((tabId) => {
+    pendingPagePreviews.delete(tabId);
+    updateTabPages((pages) => {
+      delete pages[tabId];
+    });
+    updateDwell(async () => {
+      if ((await loadActiveDwell())?.tabId === tabId) {
+        await finishDwellSegment();
+      }
+    });
+  });
+}
+
+if (browserApi.tabs?.onActivated) {
+  browserApi.tabs.onActivated.addListener(({ tabId }) => {
+    updateDwell(async () => startDwellSegment(await browserApi.tabs.get(tabId)));
+  });
+}
+
+if (browserApi.tabs?.onUpdated) {
+  browserApi.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url && tab.active) {
+      updateDwell(() => startDwellSegment(tab));
+    }
+  });
+}
+
+if (browserApi.webNavigation?.onCommitted) {
+  browserApi.webNavigation.onCommitted.addListener((details) => {
+    if (details.frameId === 0) {
+      updateTabPages((pages) => detectBounce(pages, details));
+    }
+  });
+}
+
+const pageZoomTimers = new Map();
+
+if (browserApi.tabs?.onZoomChange) {
+  browserApi.tabs.onZoomChange.addListener(({ tabId, oldZoomFactor, newZoomFactor }) => {
+    if (oldZoomFactor === newZoomFactor) {
+      return;
+    }
+    // Ctrl + / - の連打はまとめて最後の倍率だけを記録する
+    clearTimeout(pageZoomTimers.get(tabId));
+    pageZoomTimers.set(
+      tabId,
+      setTimeout(async () => {
+        pageZoomTimers.delete(tabId);
+        try {
+          const tab = await browserApi.tabs.get(tabId);
+          if (!/^https?:/.test(tab.url || '')) {
+            return;
+          }
+          enqueueTask({
+            type: 'USER_ACTION',
+            payload: { url: tab.url, type: 'page-zoom', meta: { zoomFactor: newZoomFactor } },
+            incognito: Boolean(tab.incognito)
+          });
+        } catch (error) {
+          logger.debug('Zoomed tab is no longer available', tabId, error);
+        }
+      }, PAGE_ZOOM_DEBOUNCE_MS)
+    );
+  });
+}
+
+if (browserApi.windows?.onFocusChanged) {
+  browserApi.windows.onFocusChanged.addListener((windowId) => {
+    updateDwell(async () => {
+      // ブラウザ外にフォーカスが移った間は滞在時間に含めない
+      if (windowId === browserApi.windows.WINDOW_ID_NONE) {
+        await finishDwellSegment();
+        return;
+      }
+      const [tab] = await browserApi.tabs.query({ active: true, windowId });
+      await startDwellSegment(tab);
+    });
+  });
+}
+
+if (browserApi.history?.onVisited) {
+  browserApi.history.onVisited.addListener(() => {
+    void scheduleHistoryVisitSync();
+  });
+}
+
+if (browserApi.history?.onVisitRemoved) {
+  browserApi.history.onVisitRemoved.addListener((removed) => {
+    enqueueTask({
+      type: 'REMOVE_HISTORY_DATA',
+      payload: { allHistory: Boolean(removed?.allHistory), urls: removed?.urls || [] }
+    });
   });
 }
 
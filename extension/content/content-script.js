@@ -1,5 +1,222 @@
 const browserApi = typeof browser !== 'undefined' ? browser : chrome;
 const DEBUG_MODE_KEY = 'personalizeDebugMode';
+const PRIVACY_SETTINGS_KEY = 'personalizePrivacySettings';
+const PERSONALIZATION_HISTORY_LIMIT = 20;
+const CSS_TEXT_LIMIT = 8000;
+const CHANGE_PLAN_LIMIT = 10;
+const CSS_CHANGE_SUMMARY_RULE_LIMIT = 12;
+const CLICK_SELECTOR_DEPTH = 4;
+const CLICK_LABEL_LIMIT = 80;
+const CLICK_TARGET_SELECTOR =
+  'a[href], button, summary, label, input, select, textarea, [role="button"], [role="link"], [role="tab"], [role="menuitem"]';
+const CLICK_REGION_SELECTOR =
+  'nav, header, footer, aside, main, form, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="main"]';
+const CLICK_REGION_ROLES = {
+  navigation: 'nav',
+  banner: 'header',
+  contentinfo: 'footer',
+  complementary: 'aside',
+  main: 'main'
+};
+const IMPLICIT_ROLES = { a: 'link', button: 'button', summary: 'button', select: 'combobox', textarea: 'textbox' };
+
+// 生成 CSS で許可するプロパティ。ショートハンドは CSSOM でロングハンドに展開されるため接頭辞でも許可する
+const CSS_ALLOWED_PROPERTIES = new Set([
+  'color',
+  'background',
+  'opacity',
+  'display',
+  'visibility',
+  'position',
+  'width',
+  'min-width',
+  'max-width',
+  'line-height',
+  'letter-spacing',
+  'word-spacing',
+  'word-break',
+  'overflow-wrap',
+  'white-space',
+  'hyphens',
+  'tab-size',
+  'box-shadow',
+  'box-sizing',
+  'cursor',
+  'accent-color',
+  'caret-color',
+  'gap',
+  'row-gap',
+  'column-gap',
+  'columns',
+  'align-items',
+  'align-content',
+  'justify-content',
+  'justify-items',
+  'grid-template-columns',
+  'grid-gap',
+  'content-visibility'
+]);
+const CSS_ALLOWED_PROPERTY_PREFIXES = [
+  'background-',
+  'border',
+  'font',
+  'text-',
+  'margin',
+  'padding',
+  'outline',
+  'list-style',
+  'column-',
+  'flex'
+];
+const CSS_ALLOWED_POSITIONS = ['static', 'relative'];
+const CSS_ALLOWED_TAGS = new Set([
+  'html', 'body', 'main', 'article', 'section', 'header', 'footer', 'nav', 'aside',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'a', 'button', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'blockquote', 'pre', 'code', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'img', 'figure',
+  'figcaption', 'span', 'div', 'strong', 'em', 'small', 'label', 'input', 'select', 'textarea', 'hr'
+]);
+const CSS_ALLOWED_PSEUDO_CLASSES = new Set([
+  'hover', 'focus', 'focus-visible', 'focus-within', 'active', 'visited', 'link',
+  'first-child', 'last-child', 'nth-child', 'nth-of-type', 'first-of-type', 'last-of-type', 'not', 'is', 'where'
+]);
+// 拡張の UI はページ側の CSS が届かない closed shadow root に描画する
+const UI_HOST_TAG = 'personalize-extension-ui';
+const UI_HOST_STYLE = {
+  all: 'initial',
+  display: 'block',
+  position: 'fixed',
+  top: '0',
+  left: '0',
+  width: '0',
+  height: '0',
+  overflow: 'visible',
+  visibility: 'visible',
+  opacity: '1',
+  transform: 'none',
+  'z-index': '2147483647',
+  'pointer-events': 'none'
+};
+const UI_STYLESHEET = `
+  :host { all: initial; }
+  .panel {
+    position: fixed;
+    box-sizing: border-box;
+    font-family: system-ui, sans-serif;
+    font-size: 12px;
+    line-height: 1.5;
+    color: #f8fafc;
+    pointer-events: auto;
+  }
+  .debug-indicator {
+    top: 12px;
+    right: 12px;
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 12px;
+    background-color: rgba(17, 24, 39, 0.75);
+    color: #f9fafb;
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.35);
+  }
+  .overlay {
+    bottom: 16px;
+    right: 16px;
+    max-width: 320px;
+    padding: 12px 14px;
+    background-color: rgba(15, 23, 42, 0.9);
+    border-radius: 10px;
+    box-shadow: 0 8px 20px rgba(15, 23, 42, 0.4);
+  }
+  .overlay-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 8px;
+    font-weight: 600;
+  }
+  .overlay-header-actions {
+    display: flex;
+    gap: 2px;
+  }
+  .overlay.minimized .overlay-body {
+    display: none;
+  }
+  .message {
+    margin-top: 6px;
+    white-space: pre-wrap;
+  }
+  .change-plan {
+    margin: 6px 0 0;
+    padding-left: 18px;
+  }
+  .change-plan:empty {
+    display: none;
+  }
+  .css-changes {
+    margin-top: 6px;
+    max-height: 200px;
+    overflow-y: auto;
+  }
+  .css-changes[hidden] {
+    display: none;
+  }
+  .css-changes summary {
+    cursor: pointer;
+  }
+  .css-changes ul {
+    margin: 4px 0 0;
+    padding-left: 16px;
+  }
+  .css-changes code {
+    font-family: ui-monospace, monospace;
+    font-size: 11px;
+    word-break: break-all;
+  }
+  .css-changes .muted {
+    color: #94a3b8;
+  }
+  .controls {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 6px;
+    margin-top: 8px;
+  }
+  button {
+    padding: 4px 8px;
+    border: 1px solid rgba(248, 250, 252, 0.4);
+    border-radius: 6px;
+    background-color: transparent;
+    color: inherit;
+    font: inherit;
+    font-size: 11px;
+    cursor: pointer;
+  }
+  button:hover:not(:disabled) {
+    background-color: rgba(248, 250, 252, 0.12);
+  }
+  button:disabled {
+    opacity: 0.4;
+    cursor: default;
+  }
+  button:focus-visible {
+    outline: 2px solid #93c5fd;
+    outline-offset: 2px;
+  }
+  .icon-button {
+    min-width: 24px;
+    padding: 0 4px;
+    border-color: transparent;
+    font-size: 14px;
+    line-height: 20px;
+  }
+`;
+
+// 非表示にされると閲覧できなくなる主要ランドマーク
+const CSS_LANDMARK_PATTERN =
+  /^(html|body|main|article|header|nav|footer)$|\[role=["']?(main|navigation|banner|contentinfo)["']?\]/i;
+// クラスや id で絞らずに指定すると、たいていのサイトで本文を包む要素まで当たってしまうタグ
+const CSS_BROAD_TAGS = new Set(['*', 'div', 'section', 'span', 'p']);
 
 const logger = (() => {
   const prefix = '[personalize]';
@@ -38,37 +255,92 @@ const debugState = {
   enabled: false
 };
 
+let uiRoot;
 let debugIndicator;
+let debugIndicatorDismissed = false;
 let personalizationStyle;
 let personalizationOverlay;
+let originalBodyOutline;
+
+// 適用したパーソナライズの状態を順に保持し、index が -1 のときは元のページを表す
+const personalizationHistory = {
+  entries: [],
+  index: -1
+};
+
+function ensureUiRoot() {
+  if (uiRoot?.host.isConnected) {
+    return uiRoot;
+  }
+
+  if (!document.documentElement) {
+    return null;
+  }
+
+  // body ではなく html 直下に置き、生成 CSS の body 配下向けセレクタにも一致させない
+  const host = document.createElement(UI_HOST_TAG);
+  for (const [property, value] of Object.entries(UI_HOST_STYLE)) {
+    host.style.setProperty(property, value, 'important');
+  }
+
+  const shadow = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = UI_STYLESHEET;
+  shadow.appendChild(style);
+  document.documentElement.appendChild(host);
+
+  uiRoot = { host, shadow };
+  return uiRoot;
+}
+
+function createIconButton(label, symbol, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'icon-button';
+  button.textContent = symbol;
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+function removeDebugIndicator() {
+  if (debugIndicator) {
+    debugIndicator.remove();
+    debugIndicator = undefined;
+  }
+}
 
 function ensureDebugIndicator() {
-  if (!debugState.enabled || debugIndicator) {
+  if (!debugState.enabled || debugIndicatorDismissed || debugIndicator) {
     return debugIndicator;
   }
 
-  if (!document.body) {
+  const root = ensureUiRoot();
+  if (!root) {
     return null;
   }
 
   debugIndicator = document.createElement('div');
-  debugIndicator.setAttribute('data-personalize-debug-indicator', 'true');
-  Object.assign(debugIndicator.style, {
-    position: 'fixed',
-    top: '12px',
-    right: '12px',
-    zIndex: 2147483647,
-    padding: '8px 12px',
-    backgroundColor: 'rgba(17, 24, 39, 0.75)',
-    color: '#f9fafb',
-    fontSize: '12px',
-    fontFamily: 'system-ui, sans-serif',
-    borderRadius: '6px',
-    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.35)',
-    pointerEvents: 'none'
-  });
-  debugIndicator.textContent = 'Personalize extension: デバッグ情報待機中';
-  document.body.appendChild(debugIndicator);
+  debugIndicator.className = 'panel debug-indicator';
+  debugIndicator.setAttribute('role', 'status');
+
+  const message = document.createElement('span');
+  message.className = 'message-text';
+  message.textContent = 'Personalize extension: デバッグ情報待機中';
+
+  debugIndicator.append(
+    message,
+    createIconButton('デバッグ表示を閉じる', '×', () => {
+      debugIndicatorDismissed = true;
+      removeDebugIndicator();
+    })
+  );
+  root.shadow.appendChild(debugIndicator);
   return debugIndicator;
 }
 
@@ -83,7 +355,7 @@ function updateDebugIndicator(message) {
   }
 
   const timestamp = new Date().toLocaleTimeString();
-  indicator.textContent = `${timestamp} ${message}`;
+  indicator.querySelector('.message-text').textContent = `${timestamp} ${message}`;
 }
 
 async function refreshDiagnostics(reason) {
@@ -108,7 +380,7 @@ async function initializeDebugState() {
     const enabled = Boolean(response?.enabled);
     debugState.enabled = enabled;
     logger.setDebugMode(enabled);
-    if (enabled && document.body) {
+    if (enabled) {
       ensureDebugIndicator();
     }
   } catch (error) {
@@ -126,15 +398,46 @@ if (browserApi.storage?.onChanged) {
     debugState.enabled = enabled;
     logger.setDebugMode(enabled);
 
-    if (!enabled && debugIndicator) {
-      debugIndicator.remove();
-      debugIndicator = undefined;
-    } else if (enabled && document.body) {
+    // デバッグモードを切り替え直したら、閉じていたインジケーターも再表示する
+    debugIndicatorDismissed = false;
+    if (!enabled) {
+      removeDebugIndicator();
+    } else {
       ensureDebugIndicator();
     }
   });
 }
 
+// 判定が返るまでは収集しない側に倒しておく
+const collectionState = {
+  allowed: false,
+  reason: 'pending'
+};
+
+async function refreshCollectionStatus() {
+  try {
+    const response = await browserApi.runtime.sendMessage({
+      type: 'GET_COLLECTION_STATUS',
+      url: window.location.href
+    });
+    collectionState.allowed = Boolean(response?.allowed);
+    collectionState.reason = response?.reason || null;
+  } catch (error) {
+    collectionState.allowed = false;
+    collectionState.reason = 'unavailable';
+    logger.warn('Failed to check collection status', error);
+  }
+  logger.debug('Collection status', collectionState);
+}
+
+if (browserApi.storage?.onChanged) {
+  browserApi.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && Object.prototype.hasOwnProperty.call(changes, PRIVACY_SETTINGS_KEY)) {
+      refreshCollectionStatus();
+    }
+  });
+}
+
 function markContentScriptActive() {
   try {
     document.documentElement.setAttribute('data-personalize-active', 'true');
@@ -212,13 +515,115 @@ function sanitizePageAnalysisPayload(payload) {
   return sanitized;
 }
 
+function isStableSelectorToken(token) {
+  // CSS Modules や CSS-in-JS が生成するハッシュ付きの名前はビルドごとに変わるため使わない
+  return (
+    /^[A-Za-z][\w-]*$/.test(token) &&
+    token.length <= 40 &&
+    !/\d{3,}/.test(token) &&
+    !/^(css|sc|jsx|svelte|emotion)-/i.test(token) &&
+    !/__[A-Za-z0-9]{5,}$/.test(token)
+  );
+}
+
+function describeSelectorStep(element) {
+  const tag = element.tagName.toLowerCase();
+  const classes = [...element.classList].filter(isStableSelectorToken).slice(0, 2);
+  if (classes.length) {
+    return `${tag}.${classes.join('.')}`;
+  }
+
+  const siblings = element.parentElement
+    ? [...element.parentElement.children].filter((child) => child.tagName === element.tagName)
+    : [];
+  return siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(element) + 1})` : tag;
+}
+
+function buildStableSelector(element) {
+  const steps = [];
+  let current = element;
+  while (current && current !== document.body && current !== document.documentElement) {
+    if (current.id && isStableSelectorToken(current.id)) {
+      steps.unshift(`#${current.id}`);
+      break;
+    }
+    steps.unshift(describeSelectorStep(current));
+    if (steps.length >= CLICK_SELECTOR_DEPTH) {
+      break;
+    }
+    current = current.parentElement;
+  }
+  return steps.join(' > ') || 'body';
+}
+
+function describeClickLabel(element) {
+  const label =
+    element.getAttribute('aria-label') ||
+    element.getAttribute('title') ||
+    element.querySelector?.('img[alt]')?.getAttribute('alt') ||
+    // 入力欄の値は記録せず、ラベルやプレースホルダーだけを使う
+    (element.matches('input, select, textarea')
+      ? element.labels?.[0]?.textContent || element.getAttribute('placeholder') || ''
+      : (element.textContent || '').slice(0, CLICK_LABEL_LIMIT * 4)) ||
+    '';
+  return label.replace(/\s+/g, ' ').trim().slice(0, CLICK_LABEL_LIMIT);
+}
+
+function describeClickTarget(target) {
+  if (!(target instanceof Element)) {
+    return {};
+  }
+
+  const element = target.closest(CLICK_TARGET_SELECTOR) || target;
+  const tag = element.tagName.toLowerCase();
+  const regionElement = element.closest(CLICK_REGION_SELECTOR);
+  const region = regionElement
+    ? CLICK_REGION_ROLES[regionElement.getAttribute('role')] || regionElement.tagName.toLowerCase()
+    : 'body';
+
+  let hrefOrigin = '';
+  if (tag === 'a' && element.href) {
+    try {
+      const { origin } = new URL(element.href);
+      hrefOrigin = origin === 'null' ? '' : origin;
+    } catch (error) {
+      hrefOrigin = '';
+    }
+  }
+
+  return {
+    selector: buildStableSelector(element),
+    tag,
+    role: element.getAttribute('role') || (tag === 'input' ? element.type : IMPLICIT_ROLES[tag]) || tag,
+    region,
+    hrefOrigin,
+    label: describeClickLabel(element)
+  };
+}
+
+function isDarkPage() {
+  // 背景色が透明なら次の要素を見る。どちらも透明ならブラウザ既定の白背景とみなす
+  for (const element of [document.body, document.documentElement]) {
+    const color = element ? window.getComputedStyle(element).backgroundColor : '';
+    const match = color.match(/rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)/);
+    if (match && (match[4] === undefined || Number(match[4]) > 0)) {
+      const [red, green, blue] = match.slice(1, 4).map(Number);
+      return (0.2126 * red + 0.7152 * green + 0.0722 * blue) / 255 < 0.4;
+    }
+  }
+  return false;
+}
+
 if (window.top === window.self) {
   logger.info('Content script initializing', window.location.href);
   markContentScriptActive();
   initializeDebugState();
+  const collectionStatusReady = refreshCollectionStatus();
 
   const scrollInterval = 1500;
   const selectionInterval = 800;
+  // 入力がこの時間途絶えたら離席とみなし、閲覧時間に数えない
+  const idleThreshold = 60 * 1000;
   let lastScrollSent = 0;
   let lastSelectionSent = 0;
 
@@ -244,6 +649,11 @@ if (window.top === window.self) {
   }
 
   function captureAction(type, meta = {}) {
+    if (!collectionState.allowed) {
+      logger.debug('User action not collected', type, collectionState.reason);
+      return;
+    }
+
     try {
       logger.debug('Dispatching user action', type, meta);
       const message = {
@@ -280,10 +690,27 @@ if (window.top === window.self) {
           url: window.location.href
         });
         if (response?.preferences?.highlightColor) {
-          applyHighlight(response.preferences.highlightColor);
+          pushPersonalizationState({ highlightColor: response.preferences.highlightColor });
           logger.info('Applied personalization highlight', response.preferences.highlightColor);
           refreshDiagnostics('ハイライト適用');
         }
+        // 保存済みのスタイルは LLM を呼ばずにそのまま再適用する
+        if (response?.acceptedStyle?.cssText) {
+          const { cssText } = sanitizeCssText(response.acceptedStyle.cssText);
+          if (cssText) {
+            pushPersonalizationState({
+              cssText,
+              proposal: response.acceptedStyle.proposal || '',
+              rationale: response.acceptedStyle.rationale || '',
+              acceptedStyle: {
+                id: response.acceptedStyle.id,
+                urlPattern: response.acceptedStyle.urlPattern
+              }
+            });
+            logger.info('Reapplied accepted style', response.acceptedStyle.urlPattern);
+            refreshDiagnostics('保存済みスタイル適用');
+          }
+        }
       } catch (error) {
         logger.warn('Unable to load personalization preferences', error);
       }
@@ -291,14 +718,18 @@ if (window.top === window.self) {
   }
 
   function applyHighlight(color) {
-    const previous = document.querySelector('[data-personalize-highlight="true"]');
-    if (previous) {
-      previous.removeAttribute('data-personalize-highlight');
-      previous.style.outline = '';
-      previous.style.outlineOffset = '';
+    const target = document.body;
+    if (!target) {
+      return;
+    }
+
+    if (!originalBodyOutline) {
+      originalBodyOutline = {
+        outline: target.style.outline,
+        outlineOffset: target.style.outlineOffset
+      };
     }
 
-    const target = document.body;
     target.setAttribute('data-personalize-highlight', 'true');
     target.style.outline = `3px solid ${color}`;
     target.style.outlineOffset = '4px';
@@ -309,33 +740,317 @@ if (window.top === window.self) {
     }
   }
 
-  function sanitizeCssText(cssText) {
-    if (typeof cssText !== 'string') {
+  function clearHighlight() {
+    const target = document.querySelector('[data-personalize-highlight="true"]');
+    if (!target) {
+      return;
+    }
+
+    target.removeAttribute('data-personalize-highlight');
+    delete target.dataset.personalizeHighlightColor;
+    target.style.outline = originalBodyOutline?.outline || '';
+    target.style.outlineOffset = originalBodyOutline?.outlineOffset || '';
+  }
+
+  function parseCssRules(cssText) {
+    // ブラウザ自身の CSS パーサーで解析し、正規表現では拾えない構文の揺れを吸収する
+    if (typeof CSSStyleSheet === 'function') {
+      try {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(cssText);
+        return Array.from(sheet.cssRules);
+      } catch (error) {
+        logger.debug('Constructable stylesheet unavailable, using inert document', error);
+      }
+    }
+
+    const inertDocument = document.implementation.createHTMLDocument('');
+    const style = inertDocument.createElement('style');
+    style.textContent = cssText;
+    inertDocument.head.appendChild(style);
+    return style.sheet ? Array.from(style.sheet.cssRules) : [];
+  }
+
+  function splitSelectorList(selectorText) {
+    const selectors = [];
+    let depth = 0;
+    let current = '';
+    for (const char of selectorText) {
+      if (char === '(' || char === '[') {
+        depth += 1;
+      } else if (char === ')' || char === ']') {
+        depth -= 1;
+      }
+
+      if (char === ',' && depth === 0) {
+        selectors.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    if (current.trim()) {
+      selectors.push(current.trim());
+    }
+    return selectors;
+  }
+
+  function findBlockedSelectorReason(selector) {
+    // 拡張自身の UI を生成 CSS から狙えないようにする
+    if (/data-personalize/i.test(selector)) {
+      return 'targets extension UI';
+    }
+
+    if (selector.includes('::') || /:(before|after|first-line|first-letter)\b/i.test(selector)) {
+      return 'pseudo-element not allowed';
+    }
+
+    const withoutAttributes = selector.replace(/\[[^\]]*\]/g, '');
+    for (const [, name] of withoutAttributes.matchAll(/:([a-z-]+)/gi)) {
+      if (!CSS_ALLOWED_PSEUDO_CLASSES.has(name.toLowerCase())) {
+        return `pseudo-class :${name} not allowed`;
+      }
+    }
+
+    const withoutPseudo = withoutAttributes.replace(/:nth-[a-z-]+\([^)]*\)/gi, '').replace(/:[a-z-]+/gi, '');
+    for (const [, , tag] of withoutPseudo.matchAll(/(^|[\s>+~(])([a-z][a-z0-9-]*)/gi)) {
+      if (!CSS_ALLOWED_TAGS.has(tag.toLowerCase())) {
+        return `element ${tag} not allowed`;
+      }
+    }
+
+    if (/(^|[\s>+~(])\*/.test(withoutPseudo)) {
+      return 'universal selector not allowed';
+    }
+
+    // `:not(p)` のような擬似クラスだけの対象は任意の要素に一致するため拒否する
+    const anchors = selector.replace(/:[a-z-]+(\([^)]*\))?/gi, '');
+    const subject = anchors.trim().split(/\s*[\s>+~]\s*/).pop();
+    if (!subject) {
+      return 'selector subject too broad';
+    }
+
+    return null;
+  }
+
+  function isCssPropertyAllowed(property) {
+    if (property.startsWith('--')) {
+      return false;
+    }
+
+    return (
+      CSS_ALLOWED_PROPERTIES.has(property) ||
+      CSS_ALLOWED_PROPERTY_PREFIXES.some((prefix) => property.startsWith(prefix))
+    );
+  }
+
+  function findBlockedCssValueReason(property, value) {
+    const lower = value.toLowerCase();
+    if (/expression\s*\(|javascript:|-moz-binding|\\/.test(lower)) {
+      return 'unsafe value';
+    }
+
+    // 外部への送信や追跡に使われないよう、埋め込み画像以外の url() は拒否する
+    for (const [, , url] of lower.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)) {
+      if (!/^data:image\/(png|jpe?g|gif|webp)[;,]/.test(url)) {
+        return 'blocked url scheme';
+      }
+    }
+
+    if (/(image-set|(^|[^a-z-])src)\s*\(/.test(lower)) {
+      return 'external resource not allowed';
+    }
+
+    if (property === 'position' && !CSS_ALLOWED_POSITIONS.includes(lower.trim())) {
+      return 'position not allowed';
+    }
+
+    return null;
+  }
+
+  function parseCssLength(value) {
+    const match = value.match(/^(-?[\d.]+)([a-z%]*)$/);
+    return match ? { number: Number(match[1]), unit: match[2] || 'px' } : null;
+  }
+
+  function pushesOffScreen(length) {
+    // 負の余白で画面外へ追い出す・大きな余白で押し出す
+    const limits = { '%': [-100, 100], px: [-1000, 2000] };
+    const [min, max] = limits[length.unit] || [-50, 100];
+    return length.number <= min || length.number >= max;
+  }
+
+  function isTransparentColor(value) {
+    return value === 'transparent' || /^(rgba|hsla)?\(.*[,/]\s*0(\.0+)?%?\s*\)$/.test(value);
+  }
+
+  function hidesContent(declarations) {
+    return declarations.some(({ property, value }) => {
+      const lower = value.toLowerCase().trim();
+      const length = parseCssLength(lower);
+      return (
+        (property === 'display' && lower === 'none') ||
+        (property === 'visibility' && (lower === 'hidden' || lower === 'collapse')) ||
+        (property === 'content-visibility' && lower === 'hidden') ||
+        (property === 'opacity' && Number(lower) < 0.2) ||
+        // 文字を読めないほど小さくする
+        (property === 'font-size' &&
+          Boolean(length) &&
+          (length.unit === '%' ? length.number < 40 : length.number < (length.unit === 'px' ? 6 : 0.4))) ||
+        // 幅・高さを 0 にすると overflow の有無にかかわらず中身が見えなくなるか重なる
+        (/^(max-)?(width|height)$/.test(property) && Boolean(length) && length.number <= 0) ||
+        // text-indent: -9999px のような画面外への追い出し
+        (property === 'text-indent' &&
+          Boolean(length) &&
+          length.number <= (length.unit === '%' ? -50 : length.unit === 'px' ? -100 : -5)) ||
+        (/^margin(-|$)/.test(property) &&
+          lower.split(/\s+/).some((token) => {
+            const margin = parseCssLength(token);
+            return Boolean(margin) && pushesOffScreen(margin);
+          })) ||
+        ((property === 'color' || property === '-webkit-text-fill-color') && isTransparentColor(lower))
+      );
+    });
+  }
+
+  function targetsLandmark(selector) {
+    // 子孫結合子で区切った最後の要素（実際にスタイルが当たる要素）で判定する
+    const parts = selector.split(/[\s>+~]+/).filter(Boolean);
+    const subject = parts[parts.length - 1] || '';
+    const tag = subject.match(/^([a-z][a-z0-9-]*|\*)/i)?.[0] || '';
+    if (CSS_LANDMARK_PATTERN.test(tag) || CSS_LANDMARK_PATTERN.test(subject.replace(/^[^[]*/, ''))) {
+      return true;
+    }
+    // div や body > * のように、クラス・id・属性で絞っていない広いタグもランドマークと同じく扱う。
+    // :not(.ad) のような疑似クラスの中の指定は絞り込みに数えない
+    const qualifiers = subject.replace(/::?[a-z-]+(\([^)]*\))?/gi, '');
+    return CSS_BROAD_TAGS.has(tag.toLowerCase()) && !/[.#[]/.test(qualifiers);
+  }
+
+  function sanitizeStyleRule(rule, report) {
+    let selectors = [];
+    for (const selector of splitSelectorList(rule.selectorText)) {
+      const reason = findBlockedSelectorReason(selector);
+      if (reason) {
+        report.droppedRules.push({ selector, reason });
+      } else {
+        selectors.push(selector);
+      }
+    }
+
+    if (!selectors.length) {
       return '';
     }
 
-    const trimmed = cssText.trim();
-    if (!trimmed) {
+    const declarations = [];
+    for (let index = 0; index < rule.style.length; index += 1) {
+      const property = rule.style[index];
+      const value = rule.style.getPropertyValue(property);
+      const selector = selectors.join(', ');
+      if (!isCssPropertyAllowed(property)) {
+        report.droppedDeclarations.push({ selector, property, value, reason: 'property not allowed' });
+        continue;
+      }
+
+      const reason = findBlockedCssValueReason(property, value);
+      if (reason) {
+        report.droppedDeclarations.push({ selector, property, value, reason });
+        continue;
+      }
+
+      declarations.push({ property, value, priority: rule.style.getPropertyPriority(property) });
+    }
+
+    if (rule.cssRules?.length) {
+      report.droppedRules.push({ selector: rule.selectorText, reason: 'nested rules not allowed' });
+    }
+
+    if (hidesContent(declarations)) {
+      const landmarks = selectors.filter(targetsLandmark);
+      if (landmarks.length) {
+        report.droppedRules.push({ selector: landmarks.join(', '), reason: 'hides landmark' });
+        selectors = selectors.filter((selector) => !targetsLandmark(selector));
+      }
+    }
+
+    if (!selectors.length || !declarations.length) {
       return '';
     }
 
+    const body = declarations
+      .map(({ property, value, priority }) => `${property}: ${value}${priority ? ` !${priority}` : ''};`)
+      .join(' ');
+    return `${selectors.join(', ')} { ${body} }`;
+  }
+
+  function sanitizeCssRules(rules, report) {
+    const output = [];
+    for (const rule of rules) {
+      if (rule.type === CSSRule.STYLE_RULE) {
+        const sanitized = sanitizeStyleRule(rule, report);
+        if (sanitized) {
+          output.push(sanitized);
+          report.keptRules += 1;
+        }
+      } else if (rule.type === CSSRule.MEDIA_RULE || rule.type === CSSRule.SUPPORTS_RULE) {
+        const inner = sanitizeCssRules(Array.from(rule.cssRules), report);
+        if (inner.length) {
+          const prelude = rule.type === CSSRule.MEDIA_RULE ? `@media ${rule.media.mediaText}` : `@supports ${rule.conditionText}`;
+          output.push(`${prelude} { ${inner.join(' ')} }`);
+        }
+      } else {
+        report.droppedRules.push({ selector: rule.cssText.slice(0, 80), reason: 'at-rule not allowed' });
+      }
+    }
+    return output;
+  }
+
+  function sanitizeCssText(cssText) {
+    const report = {
+      keptRules: 0,
+      droppedRules: [],
+      droppedDeclarations: [],
+      truncated: false
+    };
+
+    if (typeof cssText !== 'string' || !cssText.trim()) {
+      return { cssText: '', report };
+    }
+
+    let source = cssText.trim();
     // 過剰なCSSはページへの影響が大きいため、一定長で制限する
-    if (trimmed.length > 8000) {
-      return trimmed.slice(0, 8000);
+    if (source.length > CSS_TEXT_LIMIT) {
+      source = source.slice(0, CSS_TEXT_LIMIT);
+      report.truncated = true;
     }
 
-    // 外部読み込みは予期せぬ副作用が出るので拒否する
-    if (trimmed.includes('@import')) {
-      return '';
+    // @import は CSSOM が黙って捨てるので、事前に検出してレポートに残す
+    if (/@import/i.test(source)) {
+      report.droppedRules.push({ selector: '@import', reason: 'at-rule not allowed' });
+    }
+
+    let rules = [];
+    try {
+      rules = parseCssRules(source);
+    } catch (error) {
+      logger.warn('Failed to parse personalization CSS', error);
+    }
+
+    const sanitized = sanitizeCssRules(rules, report).join('\n').slice(0, CSS_TEXT_LIMIT);
+    if (report.droppedRules.length || report.droppedDeclarations.length) {
+      logger.debug('Personalization CSS sanitized', report);
     }
 
-    return trimmed;
+    return { cssText: sanitized, report };
   }
 
-  function applyPersonalizationCss(cssText) {
-    const sanitized = sanitizeCssText(cssText);
-    if (!sanitized) {
-      return false;
+  function setPersonalizationCss(cssText) {
+    if (!cssText) {
+      if (personalizationStyle) {
+        personalizationStyle.remove();
+        personalizationStyle = undefined;
+      }
+      return;
     }
 
     // 拡張が適用したスタイルを識別できるよう専用タグで管理する
@@ -345,49 +1060,471 @@ if (window.top === window.self) {
       document.head.appendChild(personalizationStyle);
     }
 
-    personalizationStyle.textContent = sanitized;
+    personalizationStyle.textContent = cssText;
+  }
+
+  function getCurrentPersonalizationState() {
+    return personalizationHistory.entries[personalizationHistory.index] || null;
+  }
+
+  function renderPersonalizationState(state) {
+    setPersonalizationCss(state?.cssText || '');
+    if (state?.highlightColor) {
+      applyHighlight(state.highlightColor);
+    } else {
+      clearHighlight();
+    }
+  }
+
+  function pushPersonalizationState(changes) {
+    const current = getCurrentPersonalizationState();
+    const nextState = {
+      cssText: current?.cssText || '',
+      highlightColor: current?.highlightColor || '',
+      proposal: current?.proposal || '',
+      rationale: current?.rationale || '',
+      acceptedStyle: current?.acceptedStyle || null,
+      changePlan: current?.changePlan || [],
+      cssChanges: current?.cssChanges || null,
+      ...changes
+    };
+
+    // 同じ内容の再適用（読み込み時の重複呼び出しなど）は履歴に積まない
+    if (
+      current &&
+      current.cssText === nextState.cssText &&
+      current.highlightColor === nextState.highlightColor &&
+      current.proposal === nextState.proposal &&
+      current.rationale === nextState.rationale
+    ) {
+      return current;
+    }
+
+    nextState.appliedAt = Date.now();
+
+    // 新しい変更を積んだ時点で redo 用の分岐は破棄する
+    personalizationHistory.entries = personalizationHistory.entries.slice(0, personalizationHistory.index + 1);
+    personalizationHistory.entries.push(nextState);
+    if (personalizationHistory.entries.length > PERSONALIZATION_HISTORY_LIMIT) {
+      personalizationHistory.entries.shift();
+    }
+    personalizationHistory.index = personalizationHistory.entries.length - 1;
+
+    renderPersonalizationState(nextState);
+    logger.debug('Personalization state pushed', personalizationHistory.index, nextState);
+    return nextState;
+  }
+
+  function undoPersonalization() {
+    if (personalizationHistory.index < 0) {
+      return false;
+    }
+
+    personalizationHistory.index -= 1;
+    renderPersonalizationState(getCurrentPersonalizationState());
+    logger.info('Personalization undone', personalizationHistory.index);
+    return true;
+  }
+
+  function redoPersonalization() {
+    if (personalizationHistory.index >= personalizationHistory.entries.length - 1) {
+      return false;
+    }
+
+    personalizationHistory.index += 1;
+    renderPersonalizationState(getCurrentPersonalizationState());
+    logger.info('Personalization redone', personalizationHistory.index);
+    return true;
+  }
+
+  function restoreOriginalPage() {
+    if (personalizationHistory.index < 0) {
+      return false;
+    }
+
+    // 履歴は残したままにして、redo で直前の状態へ戻れるようにする
+    personalizationHistory.index = -1;
+    renderPersonalizationState(null);
+    logger.info('Original page restored');
     return true;
   }
 
-  function showPersonalizationOverlay({ proposal, rationale }) {
-    if (!proposal && !rationale) {
+  function describePersonalizationHistory() {
+    const current = getCurrentPersonalizationState();
+    return {
+      index: personalizationHistory.index,
+      length: personalizationHistory.entries.length,
+      canUndo: personalizationHistory.index >= 0,
+      canRedo: personalizationHistory.index < personalizationHistory.entries.length - 1,
+      current: current
+        ? {
+            highlightColor: current.highlightColor,
+            proposal: current.proposal,
+            rationale: current.rationale,
+            hasCss: Boolean(current.cssText),
+            acceptedStyle: current.acceptedStyle,
+            appliedAt: current.appliedAt
+          }
+        : null
+    };
+  }
+
+  function collectStyleRules(rules, output = []) {
+    for (const rule of rules) {
+      if (rule.type === CSSRule.STYLE_RULE) {
+        output.push(rule);
+      } else if (rule.type === CSSRule.MEDIA_RULE || rule.type === CSSRule.SUPPORTS_RULE) {
+        collectStyleRules(Array.from(rule.cssRules), output);
+      }
+    }
+    return output;
+  }
+
+  function readComputedValue(element, property) {
+    return element ? getComputedStyle(element).getPropertyValue(property).trim() : '';
+  }
+
+  function captureCssChangeTargets(cssText) {
+    // 適用前の計算済みスタイルを控えておき、適用後の値と並べて表示する
+    let rules = [];
+    try {
+      rules = collectStyleRules(parseCssRules(cssText));
+    } catch (error) {
+      logger.debug('Unable to parse CSS for change summary', error);
+    }
+
+    const targets = rules.slice(0, CSS_CHANGE_SUMMARY_RULE_LIMIT).map((rule) => {
+      let matches = [];
+      try {
+        matches = document.querySelectorAll(rule.selectorText);
+      } catch (error) {
+        logger.debug('Selector not queryable for change summary', rule.selectorText, error);
+      }
+
+      // 一致した最初の要素を代表として before / after を比べる
+      const element = matches[0] || null;
+      return {
+        selector: rule.selectorText,
+        element,
+        matchCount: matches.length,
+        properties: Array.from(rule.style).map((property) => ({
+          property,
+          before: readComputedValue(element, property)
+        }))
+      };
+    });
+    return { targets, omitted: Math.max(rules.length - targets.length, 0) };
+  }
+
+  function summarizeCssChanges({ targets, omitted }) {
+    return {
+      rules: targets.map(({ selector, element, matchCount, properties }) => ({
+        selector,
+        matchCount,
+        properties: properties
+          .map(({ property, before }) => ({ property, before, after: readComputedValue(element, property) }))
+          .filter(({ before, after }) => before !== after)
+      })),
+      omitted
+    };
+  }
+
+  function sanitizeChangePlan(changePlan) {
+    if (!Array.isArray(changePlan)) {
+      return [];
+    }
+
+    return changePlan
+      .filter((step) => typeof step === 'string' && step.trim())
+      .map((step) => step.trim())
+      .slice(0, CHANGE_PLAN_LIMIT);
+  }
+
+  function applyPersonalizationCss(cssText, { proposal, rationale, changePlan } = {}) {
+    const { cssText: sanitized, report } = sanitizeCssText(cssText);
+    if (!sanitized) {
+      return { applied: false, report };
+    }
+
+    const changeTargets = captureCssChangeTargets(sanitized);
+    const state = pushPersonalizationState({
+      cssText: sanitized,
+      proposal: typeof proposal === 'string' ? proposal : '',
+      rationale: typeof rationale === 'string' ? rationale : '',
+      changePlan: sanitizeChangePlan(changePlan),
+      acceptedStyle: null
+    });
+    state.cssChanges = summarizeCssChanges(changeTargets);
+    return { applied: true, report };
+  }
+
+  async function acceptCurrentPersonalization(scope) {
+    const state = getCurrentPersonalizationState();
+    if (!state?.cssText) {
+      return false;
+    }
+
+    try {
+      const response = await browserApi.runtime.sendMessage({
+        type: 'ACCEPT_PAGE_STYLE',
+        payload: {
+          url: window.location.href,
+          scope,
+          cssText: state.cssText,
+          proposal: state.proposal,
+          rationale: state.rationale
+        }
+      });
+      if (!response?.style) {
+        return false;
+      }
+
+      state.acceptedStyle = {
+        id: response.style.id,
+        urlPattern: response.style.urlPattern
+      };
+      logger.info('Personalization accepted', response.style.urlPattern);
+      return true;
+    } catch (error) {
+      logger.warn('Failed to accept personalization', error);
+      return false;
+    }
+  }
+
+  async function forgetCurrentPersonalization() {
+    const state = getCurrentPersonalizationState();
+    if (!state?.acceptedStyle) {
+      return false;
+    }
+
+    try {
+      const response = await browserApi.runtime.sendMessage({
+        type: 'FORGET_ACCEPTED_STYLE',
+        url: window.location.href,
+        styleId: state.acceptedStyle.id
+      });
+      state.acceptedStyle = null;
+      logger.info('Accepted personalization forgotten', response?.removed);
+      return Boolean(response?.removed);
+    } catch (error) {
+      logger.warn('Failed to forget accepted personalization', error);
+      return false;
+    }
+  }
+
+  function createOverlayButton(action, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.action = action;
+    button.textContent = label;
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      Promise.resolve(onClick()).finally(updatePersonalizationOverlay);
+    });
+    return button;
+  }
+
+  function dismissPersonalizationOverlay() {
+    if (!personalizationOverlay) {
       return;
     }
 
-    if (!document.body) {
+    personalizationOverlay.remove();
+    personalizationOverlay = undefined;
+  }
+
+  function togglePersonalizationOverlayMinimized() {
+    if (!personalizationOverlay) {
+      return;
+    }
+
+    const minimized = personalizationOverlay.classList.toggle('minimized');
+    const toggle = personalizationOverlay.querySelector('[data-action="minimize"]');
+    toggle.textContent = minimized ? '+' : '−';
+    toggle.title = minimized ? '展開' : '最小化';
+    toggle.setAttribute('aria-label', toggle.title);
+    toggle.setAttribute('aria-expanded', String(!minimized));
+  }
+
+  function ensurePersonalizationOverlay() {
+    if (personalizationOverlay) {
+      return personalizationOverlay;
+    }
+
+    const root = ensureUiRoot();
+    if (!root) {
+      return null;
+    }
+
+    personalizationOverlay = document.createElement('section');
+    personalizationOverlay.className = 'panel overlay';
+    personalizationOverlay.setAttribute('role', 'region');
+    personalizationOverlay.setAttribute('aria-label', 'パーソナライズ結果');
+    personalizationOverlay.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        dismissPersonalizationOverlay();
+      }
+    });
+
+    const header = document.createElement('div');
+    header.className = 'overlay-header';
+    const title = document.createElement('span');
+    title.textContent = 'パーソナライズ';
+    const headerActions = document.createElement('div');
+    headerActions.className = 'overlay-header-actions';
+    const minimizeButton = createIconButton('最小化', '−', togglePersonalizationOverlayMinimized);
+    minimizeButton.dataset.action = 'minimize';
+    minimizeButton.setAttribute('aria-expanded', 'true');
+    headerActions.append(
+      minimizeButton,
+      createIconButton('閉じる', '×', dismissPersonalizationOverlay)
+    );
+    header.append(title, headerActions);
+
+    const body = document.createElement('div');
+    body.className = 'overlay-body';
+
+    const message = document.createElement('div');
+    message.className = 'message';
+    message.setAttribute('aria-live', 'polite');
+
+    const changePlan = document.createElement('ol');
+    changePlan.className = 'change-plan';
+    changePlan.setAttribute('aria-label', '変更プラン');
+
+    const cssChanges = document.createElement('details');
+    cssChanges.className = 'css-changes';
+    cssChanges.append(document.createElement('summary'), document.createElement('ul'));
+
+    const controls = document.createElement('div');
+    controls.className = 'controls';
+    controls.append(
+      createOverlayButton('undo', '元に戻す', undoPersonalization),
+      createOverlayButton('redo', 'やり直す', redoPersonalization),
+      createOverlayButton('restore', '元のページ', restoreOriginalPage)
+    );
+
+    const acceptControls = document.createElement('div');
+    acceptControls.className = 'controls';
+    acceptControls.append(
+      createOverlayButton('accept-page', 'このページに保存', () => acceptCurrentPersonalization('page')),
+      createOverlayButton('accept-origin', 'サイト全体に保存', () => acceptCurrentPersonalization('origin')),
+      createOverlayButton('forget', '保存を解除', forgetCurrentPersonalization)
+    );
+
+    body.append(message, changePlan, cssChanges, controls, acceptControls);
+    personalizationOverlay.append(header, body);
+    root.shadow.appendChild(personalizationOverlay);
+    return personalizationOverlay;
+  }
+
+  function renderChangePlan(list, changePlan) {
+    list.replaceChildren(
+      ...(changePlan || []).map((step) => {
+        const item = document.createElement('li');
+        item.textContent = step;
+        return item;
+      })
+    );
+  }
+
+  function createMutedItem(text) {
+    const item = document.createElement('li');
+    item.className = 'muted';
+    item.textContent = text;
+    return item;
+  }
+
+  function renderCssChanges(details, cssChanges) {
+    const rules = cssChanges?.rules || [];
+    details.hidden = !rules.length;
+    if (!rules.length) {
       return;
     }
 
+    details.querySelector('summary').textContent = `適用した CSS（${rules.length + cssChanges.omitted} ルール）`;
+    const items = rules.map((rule) => {
+      const item = document.createElement('li');
+      const selector = document.createElement('code');
+      selector.textContent = rule.selector;
+      item.append(selector);
+
+      const properties = document.createElement('ul');
+      if (!rule.matchCount) {
+        properties.append(createMutedItem('一致する要素なし'));
+      } else if (!rule.properties.length) {
+        properties.append(createMutedItem(`${rule.matchCount} 要素 / 計算値の変化なし`));
+      } else {
+        item.append(` (${rule.matchCount} 要素)`);
+        for (const { property, before, after } of rule.properties) {
+          const change = document.createElement('li');
+          const code = document.createElement('code');
+          code.textContent = `${property}: ${before || '(なし)'} → ${after || '(なし)'}`;
+          change.append(code);
+          properties.append(change);
+        }
+      }
+      item.append(properties);
+      return item;
+    });
+    if (cssChanges.omitted) {
+      items.push(createMutedItem(`ほか ${cssChanges.omitted} ルール`));
+    }
+    details.querySelector('ul').replaceChildren(...items);
+  }
+
+  function updatePersonalizationOverlay() {
     if (!personalizationOverlay) {
-      personalizationOverlay = document.createElement('div');
-      personalizationOverlay.setAttribute('data-personalize-overlay', 'true');
-      Object.assign(personalizationOverlay.style, {
-        position: 'fixed',
-        bottom: '16px',
-        right: '16px',
-        maxWidth: '320px',
-        backgroundColor: 'rgba(15, 23, 42, 0.9)',
-        color: '#f8fafc',
-        padding: '12px 14px',
-        borderRadius: '10px',
-        fontSize: '12px',
-        fontFamily: 'system-ui, sans-serif',
-        zIndex: 2147483647,
-        lineHeight: '1.5',
-        boxShadow: '0 8px 20px rgba(15, 23, 42, 0.4)'
-      });
-      document.body.appendChild(personalizationOverlay);
+      return;
     }
 
+    const state = getCurrentPersonalizationState();
     const lines = [];
-    if (proposal) {
-      lines.push(`提案: ${proposal}`);
+    if (!state) {
+      lines.push('元のページを表示しています。');
+    } else {
+      if (state.proposal) {
+        lines.push(`提案: ${state.proposal}`);
+      }
+      if (state.rationale) {
+        lines.push(`理由: ${state.rationale}`);
+      }
+      if (state.highlightColor) {
+        lines.push(`ハイライト色: ${state.highlightColor}`);
+      }
+      if (state.acceptedStyle) {
+        lines.push(`保存済み: ${state.acceptedStyle.urlPattern}`);
+      }
     }
-    if (rationale) {
-      lines.push(`理由: ${rationale}`);
+
+    personalizationOverlay.querySelector('.message').textContent = lines.join('\n');
+    renderChangePlan(personalizationOverlay.querySelector('.change-plan'), state?.changePlan);
+    renderCssChanges(personalizationOverlay.querySelector('.css-changes'), state?.cssChanges);
+
+    const history = describePersonalizationHistory();
+    const buttonStates = {
+      undo: history.canUndo,
+      redo: history.canRedo,
+      restore: history.canUndo,
+      'accept-page': Boolean(state?.cssText),
+      'accept-origin': Boolean(state?.cssText),
+      forget: Boolean(state?.acceptedStyle)
+    };
+    for (const [action, enabled] of Object.entries(buttonStates)) {
+      personalizationOverlay.querySelector(`[data-action="${action}"]`).disabled = !enabled;
     }
+  }
 
-    personalizationOverlay.textContent = lines.join('\n');
+  function showPersonalizationOverlay() {
+    const overlay = ensurePersonalizationOverlay();
+    if (!overlay) {
+      return;
+    }
+
+    overlay.classList.remove('minimized');
+    updatePersonalizationOverlay();
   }
 
   function extractViewportTextSample() {
@@ -561,6 +1698,12 @@ if (window.top === window.self) {
   }
 
   async function sendPageAnalysis() {
+    await collectionStatusReady;
+    if (!collectionState.allowed) {
+      logger.debug('Page analysis not collected', collectionState.reason);
+      return;
+    }
+
     try {
       const metrics = collectPageMetrics();
       if (!metrics) {
@@ -693,6 +1836,155 @@ if (window.top === window.self) {
     window.visualViewport.addEventListener('resize', notifyZoom, { passive: true });
   }
 
+  function initializeDisplaySettingsTracking() {
+    if (typeof ResizeObserver !== 'function' || !document.documentElement) {
+      return;
+    }
+
+    // サイトの CSS の影響を受けない要素の 1em で、ブラウザの既定の文字サイズ（文字だけの拡大を含む）を測る
+    const probe = document.createElement('div');
+    probe.setAttribute('aria-hidden', 'true');
+    probe.style.cssText =
+      'all: initial; display: block; position: absolute; visibility: hidden; pointer-events: none; font-size: medium; width: 1em; height: 0;';
+    document.documentElement.appendChild(probe);
+
+    const queries = {
+      moreContrast: window.matchMedia('(prefers-contrast: more)'),
+      lessContrast: window.matchMedia('(prefers-contrast: less)'),
+      forcedColors: window.matchMedia('(forced-colors: active)')
+    };
+    let lastReported = '';
+    const report = throttle(() => {
+      const settings = { defaultFontPx: Math.round(probe.getBoundingClientRect().width) };
+      for (const [name, query] of Object.entries(queries)) {
+        settings[name] = query.matches;
+      }
+      const key = JSON.stringify(settings);
+      const isDefault =
+        settings.defaultFontPx === 16 && !settings.moreContrast && !settings.lessContrast && !settings.forcedColors;
+      // 既定のままの設定は好みの手がかりにならないので、最初の計測では送らない
+      if (key !== lastReported && (lastReported || !isDefault)) {
+        captureAction('display-settings', settings);
+      }
+      lastReported = key;
+    }, 1000);
+
+    new ResizeObserver(report).observe(probe);
+    for (const query of Object.values(queries)) {
+      query.addEventListener('change', report);
+    }
+  }
+
+  function measureScrollDepth() {
+    const documentHeight = Math.max(
+      document.documentElement?.scrollHeight || 0,
+      document.body?.scrollHeight || 0
+    );
+    if (!documentHeight) {
+      return 0;
+    }
+    const visibleBottom = window.scrollY + window.innerHeight;
+    return Math.min(100, Math.round((visibleBottom / documentHeight) * 100));
+  }
+
+  function initializeEngagementTracking() {
+    const engagement = {
+      activeMs: 0,
+      activeSince: null,
+      idle: false,
+      lastInputAt: Date.now(),
+      maxScrollDepth: measureScrollDepth(),
+      sentScrollDepth: 0
+    };
+    let idleTimer;
+
+    const isActive = () => document.visibilityState === 'visible' && document.hasFocus() && !engagement.idle;
+
+    function updateActiveClock() {
+      const now = Date.now();
+      if (engagement.activeSince !== null) {
+        engagement.activeMs += now - engagement.activeSince;
+        engagement.activeSince = null;
+      }
+      if (isActive()) {
+        engagement.activeSince = now;
+      }
+    }
+
+    function scheduleIdleCheck() {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        if (document.visibilityState !== 'visible') {
+          return;
+        }
+        engagement.idle = true;
+        updateActiveClock();
+      }, idleThreshold);
+    }
+
+    function handleInput() {
+      const now = Date.now();
+      if (engagement.idle) {
+        engagement.idle = false;
+        captureAction('idle', { durationMs: now - engagement.lastInputAt });
+      }
+      engagement.lastInputAt = now;
+      updateActiveClock();
+      scheduleIdleCheck();
+    }
+
+    function flushEngagement() {
+      updateActiveClock();
+      if (engagement.activeMs >= 1000) {
+        captureAction('reading-time', { activeMs: engagement.activeMs, darkPage: isDarkPage() });
+      }
+      if (engagement.maxScrollDepth > engagement.sentScrollDepth) {
+        captureAction('scroll-depth', { percent: engagement.maxScrollDepth });
+        engagement.sentScrollDepth = engagement.maxScrollDepth;
+      }
+      engagement.activeMs = 0;
+    }
+
+    for (const type of ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart']) {
+      document.addEventListener(type, throttle(handleInput, 1000), { passive: true, capture: true });
+    }
+
+    window.addEventListener(
+      'scroll',
+      throttle(() => {
+        engagement.maxScrollDepth = Math.max(engagement.maxScrollDepth, measureScrollDepth());
+        handleInput();
+      }, 500),
+      { passive: true }
+    );
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        flushEngagement();
+      } else {
+        handleInput();
+      }
+    });
+    window.addEventListener('focus', updateActiveClock);
+    window.addEventListener('blur', updateActiveClock);
+    // 戻る・進むでの直帰はブラウザの UI からの移動も拾えるよう、バックグラウンドが webNavigation で判定する
+    window.addEventListener('pagehide', flushEngagement);
+    window.addEventListener('pageshow', (event) => {
+      // バックフォワードキャッシュから戻ったときは、止まっていた閲覧時間の計測を再開する
+      if (event.persisted) {
+        handleInput();
+      }
+    });
+
+    document.addEventListener('copy', () => {
+      const text = (window.getSelection()?.toString() || '').trim();
+      captureAction('copy', { length: text.length });
+    });
+
+    updateActiveClock();
+    scheduleIdleCheck();
+  }
+
   document.addEventListener('DOMContentLoaded', () => {
     markContentScriptActive();
     if (debugState.enabled) {
@@ -713,13 +2005,16 @@ if (window.top === window.self) {
     captureAction('click', {
       x: event.clientX,
       y: event.clientY,
-      preferredColor
+      preferredColor,
+      ...describeClickTarget(event.target)
     });
   });
 
   document.addEventListener('selectionchange', handleSelectionChange);
 
   initializeZoomTracking();
+  initializeDisplaySettingsTracking();
+  initializeEngagementTracking();
 
   schedulePersonalization();
   sendPageAnalysis();
@@ -732,13 +2027,42 @@ if (window.top === window.self) {
     }
 
     if (message?.type === 'APPLY_PAGE_PERSONALIZATION') {
-      const applied = applyPersonalizationCss(message.css);
-      if (applied) {
-        showPersonalizationOverlay({
-          proposal: message.proposal,
-          rationale: message.rationale
-        });
+      const { applied, report } = applyPersonalizationCss(message.css, {
+        proposal: message.proposal,
+        rationale: message.rationale,
+        changePlan: message.changePlan
+      });
+      if (applied && (message.proposal || message.rationale)) {
+        showPersonalizationOverlay();
       }
+      // 除外した宣言はバックグラウンド側でログに残せるよう応答で返す
+      sendResponse({ applied, report });
+      return;
+    }
+
+    if (message?.type === 'UNDO_PAGE_PERSONALIZATION') {
+      undoPersonalization();
+      updatePersonalizationOverlay();
+      sendResponse({ history: describePersonalizationHistory() });
+      return;
+    }
+
+    if (message?.type === 'REDO_PAGE_PERSONALIZATION') {
+      redoPersonalization();
+      updatePersonalizationOverlay();
+      sendResponse({ history: describePersonalizationHistory() });
+      return;
+    }
+
+    if (message?.type === 'RESTORE_ORIGINAL_PAGE') {
+      restoreOriginalPage();
+      updatePersonalizationOverlay();
+      sendResponse({ history: describePersonalizationHistory() });
+      return;
+    }
+
+    if (message?.type === 'GET_PERSONALIZATION_HISTORY') {
+      sendResponse({ history: describePersonalizationHistory() });
       return;
     }
 
@@ -760,9 +2084,11 @@ if (window.top === window.self) {
     }
 
     if (highlightColor) {
-      applyHighlight(highlightColor);
+      pushPersonalizationState({ highlightColor });
+      updatePersonalizationOverlay();
     } else {
       schedulePersonalization();
     }
+    sendResponse({ applied: Boolean(highlightColor) });
   });
 }
@@ -2,13 +2,122 @@ const browserApi = typeof browser !== 'undefined' ? browser : chrome;
 
 const OPENAI_KEY_STORAGE_KEY = 'personalizeOpenAiApiKey';
 const DEBUG_MODE_KEY = 'personalizeDebugMode';
+const LLM_CACHE_TTL_KEY = 'personalizeLlmCacheTtlMinutes';
+const LLM_PROVIDER_SETTINGS_KEY = 'personalizeLlmProviderSettings';
+const OPENAI_RESPONSES_PROVIDER_ID = 'openai-responses';
+const LLM_TASK_SETTINGS_KEY = 'personalizeLlmTaskSettings';
+const DEFAULT_LLM_CACHE_TTL_MINUTES = 1440;
+const PRIVACY_SETTINGS_KEY = 'personalizePrivacySettings';
+const REDACTION_SETTINGS_KEY = 'personalizeRedactionSettings';
+const RETENTION_SETTINGS_KEY = 'personalizeRetentionSettings';
+const DEFAULT_RETENTION_SETTINGS = { maxAgeDays: 90, maxRecordsPerOrigin: 500, maxTotalMegabytes: 20 };
+const PRIVACY_DENIED_PATTERN_LIMIT = 200;
+const DEFAULT_PRIVACY_SETTINGS = { paused: false, excludeIncognito: true, deniedPatterns: [] };
+const SYNC_SETTINGS_KEY = 'personalizeSyncSettings';
+const DEFAULT_SYNC_SETTINGS = { enabled: false, backend: 'rest', endpoint: '', token: '' };
+const STORAGE_MIRROR_ENABLED_KEY = 'personalizeStorageMirrorEnabled';
+const CONNECTION_TEST_MESSAGES = {
+  'missing-key': 'API キーが入力されていません。',
+  'secrets-locked': '保存済みの API キーが暗号化でロックされています。「暗号化」でロックを解除してください。',
+  'invalid-key': 'API キーが無効です。キーを確認してください。',
+  forbidden: 'この API キーには権限がありません。組織やプロジェクトの設定を確認してください。',
+  'model-unavailable': 'モデルが見つからないか、このキーでは利用できません。モデル名を確認してください。',
+  'quota-exceeded': '利用枠（クォータ）を超えています。請求設定を確認してください。',
+  'rate-limited': 'リクエストが多すぎます。しばらく待ってから再度お試しください。',
+  'server-error': 'プロバイダー側でエラーが発生しています。しばらく待ってから再度お試しください。',
+  network: '接続先に到達できません。ベース URL とネットワークを確認してください。',
+  'request-failed': 'リクエストが拒否されました。'
+};
+const ENCRYPTION_MIN_PASSPHRASE_LENGTH = 8;
+const ENCRYPTED_SECRET_PLACEHOLDER = '暗号化して保存済み（変更する場合のみ入力）';
+const ENCRYPTION_ERROR_MESSAGES = {
+  'wrong-passphrase': 'パスフレーズが正しくありません。',
+  'passphrase-too-short': `パスフレーズは ${ENCRYPTION_MIN_PASSPHRASE_LENGTH} 文字以上で入力してください。`,
+  'already-enabled': 'すでに暗号化が有効です。',
+  'not-enabled': '暗号化は有効になっていません。',
+  locked: '暗号化がロックされています。「暗号化」でロックを解除してから保存してください。'
+};
 
 const elements = {
   openAiKey: document.getElementById('openai-key'),
   saveKey: document.getElementById('save-key'),
+  testKey: document.getElementById('test-key'),
   keyStatus: document.getElementById('key-status'),
   debugMode: document.getElementById('debug-mode'),
-  debugStatus: document.getElementById('debug-status')
+  debugStatus: document.getElementById('debug-status'),
+  cacheTtl: document.getElementById('cache-ttl'),
+  saveCacheTtl: document.getElementById('save-cache-ttl'),
+  purgeCache: document.getElementById('purge-cache'),
+  cacheStats: document.getElementById('cache-stats'),
+  cacheStatus: document.getElementById('cache-status'),
+  llmProvider: document.getElementById('llm-provider'),
+  llmBaseUrl: document.getElementById('llm-base-url'),
+  llmModel: document.getElementById('llm-model'),
+  llmKeyField: document.getElementById('llm-key-field'),
+  llmApiKey: document.getElementById('llm-api-key'),
+  saveProvider: document.getElementById('save-provider'),
+  testProvider: document.getElementById('test-provider'),
+  providerStatus: document.getElementById('provider-status'),
+  taskSettings: document.getElementById('llm-task-settings'),
+  saveTaskSettings: document.getElementById('save-task-settings'),
+  taskStatus: document.getElementById('task-status'),
+  privacyPaused: document.getElementById('privacy-paused'),
+  privacyExcludeIncognito: document.getElementById('privacy-exclude-incognito'),
+  privacyDeniedPatterns: document.getElementById('privacy-denied-patterns'),
+  savePrivacy: document.getElementById('save-privacy'),
+  privacyStatus: document.getElementById('privacy-status'),
+  redactionRules: document.getElementById('redaction-rules'),
+  saveRedaction: document.getElementById('save-redaction'),
+  redactionStats: document.getElementById('redaction-stats'),
+  redactionStatus: document.getElementById('redaction-status'),
+  retentionMaxAge: document.getElementById('retention-max-age'),
+  retentionMaxRecords: document.getElementById('retention-max-records'),
+  retentionMaxSize: document.getElementById('retention-max-size'),
+  saveRetention: document.getElementById('save-retention'),
+  applyRetention: document.getElementById('apply-retention'),
+  retentionStats: document.getElementById('retention-stats'),
+  retentionStatus: document.getElementById('retention-status'),
+  exportGzip: document.getElementById('export-gzip'),
+  exportProfile: document.getElementById('export-profile'),
+  importFile: document.getElementById('import-file'),
+  importMode: document.getElementById('import-mode'),
+  importProfile: document.getElementById('import-profile'),
+  profileStatus: document.getElementById('profile-status'),
+  syncEnabled: document.getElementById('sync-enabled'),
+  syncBackend: document.getElementById('sync-backend'),
+  syncEndpoint: document.getElementById('sync-endpoint'),
+  syncToken: document.getElementById('sync-token'),
+  saveSync: document.getElementById('save-sync'),
+  syncNow: document.getElementById('sync-now'),
+  syncStats: document.getElementById('sync-stats'),
+  syncStatus: document.getElementById('sync-status'),
+  encryptionState: document.getElementById('encryption-state'),
+  encryptionPassphrase: document.getElementById('encryption-passphrase'),
+  encryptionConfirmField: document.getElementById('encryption-confirm-field'),
+  encryptionPassphraseConfirm: document.getElementById('encryption-passphrase-confirm'),
+  enableEncryption: document.getElementById('enable-encryption'),
+  unlockEncryption: document.getElementById('unlock-encryption'),
+  lockEncryption: document.getElementById('lock-encryption'),
+  disableEncryption: document.getElementById('disable-encryption'),
+  encryptionStatus: document.getElementById('encryption-status'),
+  storageMirror: document.getElementById('storage-mirror'),
+  storageMirrorStats: document.getElementById('storage-mirror-stats'),
+  storageMirrorStatus: document.getElementById('storage-mirror-status'),
+  refreshData: document.getElementById('refresh-data'),
+  deleteAllData: document.getElementById('delete-all-data'),
+  dataOrigins: document.getElementById('data-origins'),
+  dataOriginDetail: document.getElementById('data-origin-detail'),
+  dataStatus: document.getElementById('data-status')
+};
+
+const taskState = {
+  definitions: [],
+  limits: null
+};
+
+const providerState = {
+  definitions: [],
+  settings: { activeProvider: OPENAI_RESPONSES_PROVIDER_ID, providers: {} }
 };
 
 function setStatus(element, message, isError = false) {
@@ -20,6 +129,33 @@ function setStatus(element, message, isError = false) {
   element.classList.toggle('error', isError);
 }
 
+function isEncryptedValue(value) {
+  return Boolean(value) && typeof value === 'object' && value.alg === 'AES-GCM';
+}
+
+// 暗号化済みの値は入力欄に出さず、空欄のまま保存したときは保存済みの値を残す
+function fillSecretInput(input, value, placeholder = '') {
+  input.value = isEncryptedValue(value) ? '' : value || '';
+  input.placeholder = isEncryptedValue(value) ? ENCRYPTED_SECRET_PLACEHOLDER : placeholder;
+}
+
+function describeEncryptionError(code) {
+  return ENCRYPTION_ERROR_MESSAGES[code] || code || '不明なエラー';
+}
+
+// 暗号化が有効ならバックグラウンドで暗号化した値を返す（無効なら入力値のまま）
+async function sealSecretForStorage(value, storedValue) {
+  if (!value) {
+    return isEncryptedValue(storedValue) ? storedValue : value;
+  }
+
+  const response = await browserApi.runtime.sendMessage({ type: 'SEAL_SECRET', value });
+  if (response?.error) {
+    throw new Error(response.error);
+  }
+  return response?.sealed ?? value;
+}
+
 async function loadSettings() {
   if (!browserApi.storage?.local) {
     setStatus(elements.keyStatus, 'ブラウザのストレージにアクセスできません。', true);
@@ -33,21 +169,26 @@ async function loadSettings() {
     if (elements.debugMode) {
       elements.debugMode.disabled = true;
     }
+    if (elements.saveCacheTtl) {
+      elements.saveCacheTtl.disabled = true;
+    }
     return;
   }
 
   try {
     const stored = await browserApi.storage.local.get({
       [OPENAI_KEY_STORAGE_KEY]: '',
-      [DEBUG_MODE_KEY]: false
+      [DEBUG_MODE_KEY]: false,
+      [LLM_CACHE_TTL_KEY]: DEFAULT_LLM_CACHE_TTL_MINUTES
     });
 
-    elements.openAiKey.value = stored[OPENAI_KEY_STORAGE_KEY] ?? '';
+    fillSecretInput(elements.openAiKey, stored[OPENAI_KEY_STORAGE_KEY], 'sk-...');
     const debugEnabled = Boolean(stored[DEBUG_MODE_KEY]);
     elements.debugMode.checked = debugEnabled;
     if (debugEnabled) {
       setStatus(elements.debugStatus, 'デバッグログが有効です。');
     }
+    elements.cacheTtl.value = String(stored[LLM_CACHE_TTL_KEY]);
   } catch (error) {
     console.warn('[personalize] Failed to load settings', error);
     setStatus(elements.keyStatus, '設定の読み込みに失敗しました。', true);
@@ -66,11 +207,17 @@ async function handleSaveApiKey() {
   }
 
   try {
-    await browserApi.storage.local.set({ [OPENAI_KEY_STORAGE_KEY]: value });
+    const storedValue = await sealSecretForStorage(value);
+    await browserApi.storage.local.set({ [OPENAI_KEY_STORAGE_KEY]: storedValue });
+    fillSecretInput(elements.openAiKey, storedValue, 'sk-...');
     setStatus(elements.keyStatus, 'API キーを保存しました。');
   } catch (error) {
     console.warn('[personalize] Failed to save API key', error);
-    setStatus(elements.keyStatus, 'API キーの保存に失敗しました。', true);
+    setStatus(
+      elements.keyStatus,
+      error?.message === 'locked' ? describeEncryptionError('locked') : 'API キーの保存に失敗しました。',
+      true
+    );
   } finally {
     elements.saveKey.disabled = false;
   }
@@ -88,12 +235,1262 @@ async function handleDebugToggle(event) {
   }
 }
 
+async function refreshCacheStats() {
+  if (!elements.cacheStats) {
+    return;
+  }
+
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'GET_DIAGNOSTICS' });
+    const cache = response?.snapshot?.llmCache;
+    if (!cache) {
+      return;
+    }
+
+    const entries = typeof cache.entries === 'number' ? cache.entries : '不明';
+    elements.cacheStats.textContent = `保存件数: ${entries} / ヒット: ${cache.hits} / ミス: ${cache.misses}`;
+  } catch (error) {
+    console.warn('[personalize] Failed to load cache stats', error);
+  }
+}
+
+async function handleSaveCacheTtl() {
+  const value = Number(elements.cacheTtl.value);
+  if (!Number.isInteger(value) || value < 0) {
+    setStatus(elements.cacheStatus, '0 以上の整数を入力してください。', true);
+    return;
+  }
+
+  elements.saveCacheTtl.disabled = true;
+  try {
+    await browserApi.storage.local.set({ [LLM_CACHE_TTL_KEY]: value });
+    setStatus(elements.cacheStatus, value === 0 ? 'キャッシュを無効にしました。' : '有効期間を保存しました。');
+  } catch (error) {
+    console.warn('[personalize] Failed to save cache TTL', error);
+    setStatus(elements.cacheStatus, '有効期間の保存に失敗しました。', true);
+  } finally {
+    elements.saveCacheTtl.disabled = false;
+  }
+}
+
+async function handlePurgeCache() {
+  elements.purgeCache.disabled = true;
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'PURGE_LLM_CACHE' });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    setStatus(elements.cacheStatus, `キャッシュを ${response?.removed ?? 0} 件削除しました。`);
+  } catch (error) {
+    console.warn('[personalize] Failed to purge cache', error);
+    setStatus(elements.cacheStatus, 'キャッシュの削除に失敗しました。', true);
+  } finally {
+    elements.purgeCache.disabled = false;
+    void refreshCacheStats();
+  }
+}
+
+async function runConnectionTest(button, statusElement, config) {
+  button.disabled = true;
+  setStatus(statusElement, '接続を確認しています…');
+  try {
+    const result = await browserApi.runtime.sendMessage({ type: 'TEST_LLM_CONNECTION', config });
+    if (result?.ok) {
+      setStatus(statusElement, `${result.provider}（${result.model}）に接続できました（${result.latencyMs} ms）。`);
+      return;
+    }
+
+    const reason = CONNECTION_TEST_MESSAGES[result?.code] || '接続テストに失敗しました。';
+    const status = result?.status ? `（HTTP ${result.status}）` : '';
+    const detail = result?.message ? ` ${result.message}` : '';
+    setStatus(statusElement, `${reason}${status}${detail}`, true);
+  } catch (error) {
+    console.warn('[personalize] Failed to run connection test', error);
+    setStatus(statusElement, '接続テストに失敗しました。', true);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function handleTestApiKey() {
+  return runConnectionTest(elements.testKey, elements.keyStatus, {
+    providerId: OPENAI_RESPONSES_PROVIDER_ID,
+    apiKey: elements.openAiKey.value
+  });
+}
+
+function handleTestProvider() {
+  const id = elements.llmProvider.value;
+  return runConnectionTest(elements.testProvider, elements.providerStatus, {
+    providerId: id,
+    baseUrl: elements.llmBaseUrl.value,
+    model: elements.llmModel.value,
+    // OpenAI Responses は「OpenAI API キー」欄の値を使う
+    apiKey: id === OPENAI_RESPONSES_PROVIDER_ID ? elements.openAiKey.value : elements.llmApiKey.value
+  });
+}
+
+function findProviderDefinition(id) {
+  return providerState.definitions.find((definition) => definition.id === id) || null;
+}
+
+function fillProviderFields(id) {
+  const definition = findProviderDefinition(id);
+  const stored = providerState.settings.providers?.[id] || {};
+
+  elements.llmBaseUrl.value = stored.baseUrl || '';
+  elements.llmBaseUrl.placeholder = definition?.defaultBaseUrl || '';
+  elements.llmModel.value = stored.model || '';
+  elements.llmModel.placeholder = definition?.defaultModel || '';
+  fillSecretInput(elements.llmApiKey, stored.apiKey, definition?.requiresApiKey ? '必須' : '任意');
+  // OpenAI Responses は既存の API キー欄を使うので、ここでは入力させない
+  elements.llmKeyField.hidden = id === OPENAI_RESPONSES_PROVIDER_ID;
+}
+
+async function loadProviderSettings() {
+  if (!elements.llmProvider) {
+    return;
+  }
+
+  try {
+    const [response, stored] = await Promise.all([
+      browserApi.runtime.sendMessage({ type: 'GET_LLM_PROVIDERS' }),
+      browserApi.storage.local.get({ [LLM_PROVIDER_SETTINGS_KEY]: {} })
+    ]);
+
+    providerState.definitions = response?.providers || [];
+    providerState.settings = {
+      activeProvider: response?.defaultProvider || OPENAI_RESPONSES_PROVIDER_ID,
+      providers: {},
+      ...stored[LLM_PROVIDER_SETTINGS_KEY]
+    };
+
+    elements.llmProvider.replaceChildren(
+      ...providerState.definitions.map((definition) => {
+        const option = document.createElement('option');
+        option.value = definition.id;
+        option.textContent = definition.label;
+        return option;
+      })
+    );
+
+    if (!findProviderDefinition(providerState.settings.activeProvider)) {
+      providerState.settings.activeProvider = OPENAI_RESPONSES_PROVIDER_ID;
+    }
+    elements.llmProvider.value = providerState.settings.activeProvider;
+    fillProviderFields(providerState.settings.activeProvider);
+  } catch (error) {
+    console.warn('[personalize] Failed to load provider settings', error);
+    setStatus(elements.providerStatus, 'プロバイダー設定の読み込みに失敗しました。', true);
+    elements.saveProvider.disabled = true;
+  }
+}
+
+function isValidBaseUrl(value) {
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+async function handleSaveProvider() {
+  const id = elements.llmProvider.value;
+  const definition = findProviderDefinition(id);
+  if (!definition) {
+    setStatus(elements.providerStatus, 'プロバイダーを選択してください。', true);
+    return;
+  }
+
+  const baseUrl = elements.llmBaseUrl.value.trim();
+  const model = elements.llmModel.value.trim();
+  const apiKey = elements.llmApiKey.value.trim();
+
+  if (baseUrl && !isValidBaseUrl(baseUrl)) {
+    setStatus(elements.providerStatus, 'ベース URL は http(s) の URL を入力してください。', true);
+    return;
+  }
+
+  const storedApiKey = providerState.settings.providers?.[id]?.apiKey;
+  if (definition.requiresApiKey && id !== OPENAI_RESPONSES_PROVIDER_ID && !apiKey && !isEncryptedValue(storedApiKey)) {
+    setStatus(elements.providerStatus, 'このプロバイダーには API キーが必要です。', true);
+    return;
+  }
+
+  elements.saveProvider.disabled = true;
+  try {
+    const nextSettings = {
+      activeProvider: id,
+      providers: {
+        ...providerState.settings.providers,
+        [id]: {
+          baseUrl,
+          model,
+          apiKey: id === OPENAI_RESPONSES_PROVIDER_ID ? '' : await sealSecretForStorage(apiKey, storedApiKey)
+        }
+      }
+    };
+    await browserApi.storage.local.set({ [LLM_PROVIDER_SETTINGS_KEY]: nextSettings });
+    providerState.settings = nextSettings;
+    fillProviderFields(id);
+    setStatus(elements.providerStatus, `${definition.label} を使用するよう保存しました。`);
+  } catch (error) {
+    console.warn('[personalize] Failed to save provider settings', error);
+    setStatus(
+      elements.providerStatus,
+      error?.message === 'locked' ? describeEncryptionError('locked') : 'プロバイダー設定の保存に失敗しました。',
+      true
+    );
+  } finally {
+    elements.saveProvider.disabled = false;
+  }
+}
+
+function createTaskInput(taskId, field, attributes) {
+  const input = document.createElement('input');
+  input.id = `task-${taskId}-${field}`;
+  input.dataset.task = taskId;
+  input.dataset.field = field;
+  for (const [name, value] of Object.entries(attributes)) {
+    input.setAttribute(name, value);
+  }
+  return input;
+}
+
+async function loadTaskSettings() {
+  if (!elements.taskSettings) {
+    return;
+  }
+
+  try {
+    const [response, stored] = await Promise.all([
+      browserApi.runtime.sendMessage({ type: 'GET_LLM_TASKS' }),
+      browserApi.storage.local.get({ [LLM_TASK_SETTINGS_KEY]: {} })
+    ]);
+
+    taskState.definitions = response?.tasks || [];
+    taskState.limits = response?.limits || null;
+    const settings = stored[LLM_TASK_SETTINGS_KEY] || {};
+    const tokenLimits = taskState.limits?.maxOutputTokens;
+    const temperatureLimits = taskState.limits?.temperature;
+
+    for (const task of taskState.definitions) {
+      const current = settings[task.id] || {};
+      const label = document.createElement('label');
+      label.textContent = task.label;
+      label.htmlFor = `task-${task.id}-model`;
+
+      const model = createTaskInput(task.id, 'model', {
+        type: 'text',
+        placeholder: 'プロバイダーの既定',
+        autocomplete: 'off'
+      });
+      model.value = current.model || '';
+
+      const maxOutputTokens = createTaskInput(task.id, 'maxOutputTokens', {
+        type: 'number',
+        step: '1',
+        min: String(tokenLimits?.min ?? 1),
+        max: String(tokenLimits?.max ?? ''),
+        placeholder: String(task.defaultMaxOutputTokens)
+      });
+      maxOutputTokens.value = current.maxOutputTokens ?? '';
+
+      const temperature = createTaskInput(task.id, 'temperature', {
+        type: 'number',
+        step: '0.1',
+        min: String(temperatureLimits?.min ?? 0),
+        max: String(temperatureLimits?.max ?? ''),
+        placeholder: '既定'
+      });
+      temperature.value = current.temperature ?? '';
+
+      elements.taskSettings.append(label, model, maxOutputTokens, temperature);
+    }
+  } catch (error) {
+    console.warn('[personalize] Failed to load task settings', error);
+    setStatus(elements.taskStatus, 'タスク設定の読み込みに失敗しました。', true);
+    elements.saveTaskSettings.disabled = true;
+  }
+}
+
+function readTaskSettingsForm() {
+  const settings = {};
+  const errors = [];
+  const tokenLimits = taskState.limits?.maxOutputTokens;
+  const temperatureLimits = taskState.limits?.temperature;
+
+  for (const task of taskState.definitions) {
+    const value = (field) => document.getElementById(`task-${task.id}-${field}`).value.trim();
+    const model = value('model');
+    const maxOutputTokensText = value('maxOutputTokens');
+    const temperatureText = value('temperature');
+    const entry = { model };
+
+    if (maxOutputTokensText) {
+      const maxOutputTokens = Number(maxOutputTokensText);
+      if (
+        !Number.isInteger(maxOutputTokens) ||
+        (tokenLimits && (maxOutputTokens < tokenLimits.min || maxOutputTokens > tokenLimits.max))
+      ) {
+        errors.push(`${task.label}: 最大トークンは ${tokenLimits?.min}〜${tokenLimits?.max} の整数で入力してください。`);
+      } else {
+        entry.maxOutputTokens = maxOutputTokens;
+      }
+    }
+
+    if (temperatureText) {
+      const temperature = Number(temperatureText);
+      if (
+        !Number.isFinite(temperature) ||
+        (temperatureLimits && (temperature < temperatureLimits.min || temperature > temperatureLimits.max))
+      ) {
+        errors.push(`${task.label}: temperature は ${temperatureLimits?.min}〜${temperatureLimits?.max} で入力してください。`);
+      } else {
+        entry.temperature = temperature;
+      }
+    }
+
+    settings[task.id] = entry;
+  }
+
+  return { settings, errors };
+}
+
+async function handleSaveTaskSettings() {
+  const { settings, errors } = readTaskSettingsForm();
+  if (errors.length) {
+    setStatus(elements.taskStatus, errors[0], true);
+    return;
+  }
+
+  elements.saveTaskSettings.disabled = true;
+  try {
+    await browserApi.storage.local.set({ [LLM_TASK_SETTINGS_KEY]: settings });
+    setStatus(elements.taskStatus, 'タスク設定を保存しました。');
+  } catch (error) {
+    console.warn('[personalize] Failed to save task settings', error);
+    setStatus(elements.taskStatus, 'タスク設定の保存に失敗しました。', true);
+  } finally {
+    elements.saveTaskSettings.disabled = false;
+  }
+}
+
+async function loadPrivacySettings() {
+  if (!elements.privacyDeniedPatterns) {
+    return;
+  }
+
+  try {
+    const stored = await browserApi.storage.local.get({ [PRIVACY_SETTINGS_KEY]: DEFAULT_PRIVACY_SETTINGS });
+    const settings = { ...DEFAULT_PRIVACY_SETTINGS, ...stored[PRIVACY_SETTINGS_KEY] };
+    elements.privacyPaused.checked = settings.paused === true;
+    elements.privacyExcludeIncognito.checked = settings.excludeIncognito !== false;
+    elements.privacyDeniedPatterns.value = (settings.deniedPatterns || []).join('\n');
+  } catch (error) {
+    console.warn('[personalize] Failed to load privacy settings', error);
+    setStatus(elements.privacyStatus, 'プライバシー設定の読み込みに失敗しました。', true);
+  }
+}
+
+function readDeniedPatterns() {
+  const patterns = elements.privacyDeniedPatterns.value
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const errors = [];
+
+  for (const pattern of patterns) {
+    if (/\s/.test(pattern)) {
+      errors.push(`「${pattern}」に空白が含まれています。`);
+    }
+  }
+  if (patterns.length > PRIVACY_DENIED_PATTERN_LIMIT) {
+    errors.push(`除外パターンは ${PRIVACY_DENIED_PATTERN_LIMIT} 件までです。`);
+  }
+
+  return { patterns: [...new Set(patterns)], errors };
+}
+
+async function handleSavePrivacy() {
+  const { patterns, errors } = readDeniedPatterns();
+  if (errors.length) {
+    setStatus(elements.privacyStatus, errors[0], true);
+    return;
+  }
+
+  elements.savePrivacy.disabled = true;
+  try {
+    await browserApi.storage.local.set({
+      [PRIVACY_SETTINGS_KEY]: {
+        paused: elements.privacyPaused.checked,
+        excludeIncognito: elements.privacyExcludeIncognito.checked,
+        deniedPatterns: patterns
+      }
+    });
+    elements.privacyDeniedPatterns.value = patterns.join('\n');
+    setStatus(
+      elements.privacyStatus,
+      elements.privacyPaused.checked ? 'データ収集を一時停止しました。' : 'プライバシー設定を保存しました。'
+    );
+  } catch (error) {
+    console.warn('[personalize] Failed to save privacy settings', error);
+    setStatus(elements.privacyStatus, 'プライバシー設定の保存に失敗しました。', true);
+  } finally {
+    elements.savePrivacy.disabled = false;
+  }
+}
+
+async function loadRedactionSettings() {
+  if (!elements.redactionRules) {
+    return;
+  }
+
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'GET_REDACTION_RULES' });
+    const rules = response?.rules || [];
+    elements.redactionRules.replaceChildren(
+      ...rules.map((rule) => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'toggle';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = `redaction-${rule.id}`;
+        input.dataset.ruleId = rule.id;
+        input.checked = rule.enabled;
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.textContent = rule.label;
+        wrapper.append(input, label);
+        return wrapper;
+      })
+    );
+  } catch (error) {
+    console.warn('[personalize] Failed to load redaction rules', error);
+    setStatus(elements.redactionStatus, '伏せ字ルールの読み込みに失敗しました。', true);
+  }
+}
+
+async function refreshRedactionStats() {
+  if (!elements.redactionStats) {
+    return;
+  }
+
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'GET_DIAGNOSTICS' });
+    const redaction = response?.snapshot?.redaction;
+    if (!redaction) {
+      return;
+    }
+
+    elements.redactionStats.textContent = `起動後に伏せ字にした件数: ${redaction.total}`;
+  } catch (error) {
+    console.warn('[personalize] Failed to load redaction stats', error);
+  }
+}
+
+async function handleSaveRedaction() {
+  const settings = {};
+  for (const input of elements.redactionRules.querySelectorAll('input[data-rule-id]')) {
+    settings[input.dataset.ruleId] = input.checked;
+  }
+
+  elements.saveRedaction.disabled = true;
+  try {
+    await browserApi.storage.local.set({ [REDACTION_SETTINGS_KEY]: settings });
+    setStatus(elements.redactionStatus, '伏せ字設定を保存しました。');
+  } catch (error) {
+    console.warn('[personalize] Failed to save redaction settings', error);
+    setStatus(elements.redactionStatus, '伏せ字設定の保存に失敗しました。', true);
+  } finally {
+    elements.saveRedaction.disabled = false;
+  }
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round((ms || 0) / 60000);
+  if (minutes < 60) {
+    return `${minutes}分`;
+  }
+  return `${Math.floor(minutes / 60)}時間${minutes % 60}分`;
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function loadRetentionSettings() {
+  if (!elements.retentionMaxAge) {
+    return;
+  }
+
+  try {
+    const stored = await browserApi.storage.local.get({ [RETENTION_SETTINGS_KEY]: DEFAULT_RETENTION_SETTINGS });
+    const settings = { ...DEFAULT_RETENTION_SETTINGS, ...stored[RETENTION_SETTINGS_KEY] };
+    elements.retentionMaxAge.value = String(settings.maxAgeDays);
+    elements.retentionMaxRecords.value = String(settings.maxRecordsPerOrigin);
+    elements.retentionMaxSize.value = String(settings.maxTotalMegabytes);
+  } catch (error) {
+    console.warn('[personalize] Failed to load retention settings', error);
+    setStatus(elements.retentionStatus, '保持設定の読み込みに失敗しました。', true);
+  }
+}
+
+async function refreshRetentionStats() {
+  if (!elements.retentionStats) {
+    return;
+  }
+
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'GET_DIAGNOSTICS' });
+    const storage = response?.snapshot?.storage;
+    if (!storage) {
+      return;
+    }
+
+    const parts = [
+      `ページ特徴量: ${storage.records.pageFeatures ?? '不明'} 件`,
+      `操作ログ: ${storage.records.interactionLogs ?? '不明'} 件`
+    ];
+    if (storage.estimate?.usage !== undefined) {
+      parts.push(`使用量: ${formatMegabytes(storage.estimate.usage)}`);
+    }
+    if (storage.retention.lastRunAt) {
+      parts.push(`最終整理: ${new Date(storage.retention.lastRunAt).toLocaleString()}`);
+    }
+    elements.retentionStats.textContent = parts.join(' / ');
+  } catch (error) {
+    console.warn('[personalize] Failed to load storage usage', error);
+  }
+}
+
+function readRetentionForm() {
+  const fields = [
+    ['maxAgeDays', elements.retentionMaxAge, '保持日数', 1, 3650],
+    ['maxRecordsPerOrigin', elements.retentionMaxRecords, 'サイトごとの最大件数', 10, 100000],
+    ['maxTotalMegabytes', elements.retentionMaxSize, '合計サイズの上限', 1, 1024]
+  ];
+  const settings = {};
+  for (const [key, input, label, min, max] of fields) {
+    const value = Number(input.value);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${label}は ${min}〜${max} の整数で入力してください。` };
+    }
+    settings[key] = value;
+  }
+  return { settings };
+}
+
+async function handleSaveRetention() {
+  const { settings, error } = readRetentionForm();
+  if (error) {
+    setStatus(elements.retentionStatus, error, true);
+    return;
+  }
+
+  elements.saveRetention.disabled = true;
+  try {
+    await browserApi.storage.local.set({ [RETENTION_SETTINGS_KEY]: settings });
+    setStatus(elements.retentionStatus, '保持設定を保存しました。次回の整理から反映されます。');
+  } catch (saveError) {
+    console.warn('[personalize] Failed to save retention settings', saveError);
+    setStatus(elements.retentionStatus, '保持設定の保存に失敗しました。', true);
+  } finally {
+    elements.saveRetention.disabled = false;
+  }
+}
+
+async function handleApplyRetention() {
+  elements.applyRetention.disabled = true;
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'APPLY_RETENTION_NOW' });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    setStatus(elements.retentionStatus, `${response?.deleted ?? 0} 件のレコードを削除しました。`);
+  } catch (error) {
+    console.warn('[personalize] Failed to apply retention policy', error);
+    setStatus(elements.retentionStatus, 'データの整理に失敗しました。', true);
+  } finally {
+    elements.applyRetention.disabled = false;
+    void refreshRetentionStats();
+  }
+}
+
+async function transformBytes(data, stream) {
+  const response = new Response(new Blob([data]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function handleExportProfile() {
+  const gzip = elements.exportGzip.checked;
+  if (gzip && typeof CompressionStream !== 'function') {
+    setStatus(elements.profileStatus, 'このブラウザは gzip 圧縮に対応していません。', true);
+    return;
+  }
+
+  elements.exportProfile.disabled = true;
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'EXPORT_PROFILE' });
+    if (!response?.profile) {
+      throw new Error(response?.error || 'empty response');
+    }
+
+    const json = JSON.stringify(response.profile);
+    const date = new Date(response.profile.exportedAt).toISOString().slice(0, 10);
+    const filename = `personalize-profile-${date}.json`;
+    if (gzip) {
+      const compressed = await transformBytes(json, new CompressionStream('gzip'));
+      downloadBlob(new Blob([compressed], { type: 'application/gzip' }), `${filename}.gz`);
+    } else {
+      downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+    }
+    setStatus(elements.profileStatus, 'プロファイルをエクスポートしました。');
+  } catch (error) {
+    console.warn('[personalize] Failed to export profile', error);
+    setStatus(elements.profileStatus, 'エクスポートに失敗しました。', true);
+  } finally {
+    elements.exportProfile.disabled = false;
+  }
+}
+
+async function readProfileFile(file) {
+  let bytes = new Uint8Array(await file.arrayBuffer());
+  // 拡張子ではなく gzip のマジックナンバーで圧縮の有無を判定する
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    if (typeof DecompressionStream !== 'function') {
+      throw new Error('gzip is not supported');
+    }
+    bytes = await transformBytes(bytes, new DecompressionStream('gzip'));
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+async function handleImportProfile() {
+  const file = elements.importFile.files?.[0];
+  if (!file) {
+    setStatus(elements.profileStatus, 'インポートするファイルを選択してください。', true);
+    return;
+  }
+
+  const mode = elements.importMode.value === 'replace' ? 'replace' : 'merge';
+  if (mode === 'replace' && !window.confirm('既存のデータをすべて置き換えます。よろしいですか？')) {
+    return;
+  }
+
+  elements.importProfile.disabled = true;
+  try {
+    let profile;
+    try {
+      profile = await readProfileFile(file);
+    } catch (error) {
+      console.warn('[personalize] Failed to read profile file', error);
+      setStatus(elements.profileStatus, 'ファイルを読み込めませんでした。JSON または gzip 圧縮した JSON を選択してください。', true);
+      return;
+    }
+
+    const response = await browserApi.runtime.sendMessage({ type: 'IMPORT_PROFILE', profile, mode });
+    if (response?.error || !response?.imported) {
+      setStatus(elements.profileStatus, `インポートできませんでした: ${response?.error || '不明なエラー'}`, true);
+      return;
+    }
+
+    const { imported, skipped } = response;
+    const skippedTotal = Object.values(skipped || {}).reduce((sum, count) => sum + count, 0);
+    setStatus(
+      elements.profileStatus,
+      `インポートしました（サイト ${imported.pageStats} 件、ページ特徴量 ${imported.pageFeatures} 件、操作ログ ${imported.interactionLogs} 件` +
+        (skippedTotal ? `、不正なデータ ${skippedTotal} 件をスキップ` : '') +
+        '）。'
+    );
+  } catch (error) {
+    console.warn('[personalize] Failed to import profile', error);
+    setStatus(elements.profileStatus, 'インポートに失敗しました。', true);
+  } finally {
+    elements.importProfile.disabled = false;
+    void refreshRetentionStats();
+  }
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '―';
+}
+
+function createCell(text, className) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  if (className) {
+    cell.className = className;
+  }
+  return cell;
+}
+
+function createRowButton(label, onClick, className = 'secondary') {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function renderDetailList(title, items, emptyText) {
+  const fragment = document.createDocumentFragment();
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  const list = document.createElement('ul');
+  for (const text of items.length ? items : [emptyText]) {
+    const item = document.createElement('li');
+    item.textContent = text;
+    list.appendChild(item);
+  }
+  fragment.append(heading, list);
+  return fragment;
+}
+
+async function showOriginDetail(origin) {
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'GET_ORIGIN_DATA', origin });
+    if (!response?.data) {
+      throw new Error(response?.error || 'empty response');
+    }
+
+    const { pageFeatures, interactionLogs } = response.data;
+    const heading = document.createElement('h3');
+    heading.textContent = origin;
+    elements.dataOriginDetail.replaceChildren(
+      heading,
+      renderDetailList(
+        'ページ特徴量',
+        pageFeatures.map(
+          (feature) =>
+            `${formatTimestamp(feature.extractedAt)} ${feature.title || feature.url}（${feature.category || '不明'} / ${feature.source}）`
+        ),
+        '記録なし'
+      ),
+      renderDetailList(
+        '直近の操作ログ',
+        interactionLogs.map((log) => `${formatTimestamp(log.timestamp)} ${log.actionType} ${log.url}`),
+        '記録なし'
+      )
+    );
+    elements.dataOriginDetail.hidden = false;
+  } catch (error) {
+    console.warn('[personalize] Failed to load origin data', error);
+    setStatus(elements.dataStatus, 'サイトのデータを読み込めませんでした。', true);
+  }
+}
+
+async function handleDeleteOrigin(origin) {
+  if (!window.confirm(`${origin} の記録をすべて削除します。よろしいですか？`)) {
+    return;
+  }
+
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'DELETE_ORIGIN_DATA', origin });
+    if (!response?.removed) {
+      throw new Error(response?.error || 'empty response');
+    }
+    setStatus(elements.dataStatus, `${origin} の記録を削除しました。`);
+    elements.dataOriginDetail.hidden = true;
+  } catch (error) {
+    console.warn('[personalize] Failed to delete origin data', error);
+    setStatus(elements.dataStatus, 'サイトの記録を削除できませんでした。', true);
+  } finally {
+    void loadTrackedOrigins();
+  }
+}
+
+async function loadTrackedOrigins() {
+  if (!elements.dataOrigins) {
+    return;
+  }
+
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'LIST_TRACKED_ORIGINS' });
+    if (!response?.origins) {
+      throw new Error(response?.error || 'empty response');
+    }
+
+    if (!response.origins.length) {
+      const row = document.createElement('tr');
+      const cell = createCell('記録されたデータはありません。');
+      cell.colSpan = 7;
+      row.appendChild(cell);
+      elements.dataOrigins.replaceChildren(row);
+      return;
+    }
+
+    elements.dataOrigins.replaceChildren(
+      ...response.origins.map((entry) => {
+        const row = document.createElement('tr');
+        const colorCell = createCell('');
+        if (entry.highlightColor) {
+          const swatch = document.createElement('span');
+          swatch.className = 'color-swatch';
+          swatch.style.backgroundColor = entry.highlightColor;
+          swatch.title = entry.highlightColor;
+          colorCell.appendChild(swatch);
+        } else {
+          colorCell.textContent = '―';
+        }
+
+        const actionsCell = document.createElement('td');
+        const actions = document.createElement('div');
+        actions.className = 'row-actions';
+        actions.append(
+          createRowButton('詳細', () => showOriginDetail(entry.origin)),
+          createRowButton('削除', () => handleDeleteOrigin(entry.origin), 'secondary danger')
+        );
+        actionsCell.appendChild(actions);
+
+        row.append(
+          createCell(entry.origin, 'origin'),
+          createCell(String(entry.visits)),
+          createCell(formatDuration(entry.timeSpentMs)),
+          colorCell,
+          createCell(String(entry.pageFeatures)),
+          createCell(String(entry.interactionLogs)),
+          actionsCell
+        );
+        return row;
+      })
+    );
+  } catch (error) {
+    console.warn('[personalize] Failed to list tracked origins', error);
+    setStatus(elements.dataStatus, '記録したデータの一覧を読み込めませんでした。', true);
+  }
+}
+
+async function handleDeleteAllData() {
+  if (!window.confirm('記録したデータをすべて削除します。設定は残ります。よろしいですか？')) {
+    return;
+  }
+
+  elements.deleteAllData.disabled = true;
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'DELETE_ALL_DATA' });
+    if (!response?.deleted) {
+      throw new Error(response?.error || 'empty response');
+    }
+    elements.dataOriginDetail.hidden = true;
+    setStatus(elements.dataStatus, '記録したデータをすべて削除しました。');
+  } catch (error) {
+    console.warn('[personalize] Failed to delete all data', error);
+    setStatus(elements.dataStatus, 'データを削除できませんでした。', true);
+  } finally {
+    elements.deleteAllData.disabled = false;
+    void loadTrackedOrigins();
+    void refreshRetentionStats();
+  }
+}
+
+async function loadSyncSettings() {
+  if (!elements.syncBackend) {
+    return;
+  }
+
+  try {
+    const [stored, status] = await Promise.all([
+      browserApi.storage.local.get({ [SYNC_SETTINGS_KEY]: DEFAULT_SYNC_SETTINGS }),
+      browserApi.runtime.sendMessage({ type: 'GET_SYNC_STATUS' })
+    ]);
+    const settings = { ...DEFAULT_SYNC_SETTINGS, ...stored[SYNC_SETTINGS_KEY] };
+
+    elements.syncBackend.replaceChildren();
+    for (const backend of status?.backends || []) {
+      const option = document.createElement('option');
+      option.value = backend.id;
+      option.textContent = backend.label;
+      elements.syncBackend.appendChild(option);
+    }
+    elements.syncBackend.value = settings.backend;
+    elements.syncEnabled.checked = settings.enabled === true;
+    elements.syncEndpoint.value = settings.endpoint || '';
+    fillSecretInput(elements.syncToken, settings.token);
+    renderSyncState(status?.state);
+  } catch (error) {
+    console.warn('[personalize] Failed to load sync settings', error);
+    setStatus(elements.syncStatus, '同期設定の読み込みに失敗しました。', true);
+  }
+}
+
+function renderSyncState(state) {
+  if (!elements.syncStats || !state) {
+    return;
+  }
+
+  const parts = [
+    state.lastSuccessAt ? `最終同期: ${new Date(state.lastSuccessAt).toLocaleString()}` : '最終同期: なし'
+  ];
+  if (state.lastResult) {
+    const { pulled, pushed, conflicts } = state.lastResult;
+    parts.push(`受信 ${pulled} 件 / 送信 ${pushed} 件 / 競合 ${conflicts} 件`);
+  }
+  if (state.lastError) {
+    parts.push(`直近のエラー: ${state.lastError.message}（${new Date(state.lastError.at).toLocaleString()}）`);
+  }
+  elements.syncStats.textContent = parts.join(' / ');
+}
+
+async function refreshSyncState() {
+  try {
+    const status = await browserApi.runtime.sendMessage({ type: 'GET_SYNC_STATUS' });
+    renderSyncState(status?.state);
+  } catch (error) {
+    console.warn('[personalize] Failed to load sync status', error);
+  }
+}
+
+async function handleSaveSync() {
+  const enabled = elements.syncEnabled.checked;
+  const endpoint = elements.syncEndpoint.value.trim();
+  const token = elements.syncToken.value.trim();
+  if (endpoint && !isValidBaseUrl(endpoint)) {
+    setStatus(elements.syncStatus, 'エンドポイント URL は http(s):// から始まる URL で入力してください。', true);
+    return;
+  }
+  if (enabled && !endpoint) {
+    setStatus(elements.syncStatus, '同期を有効にするにはエンドポイント URL を入力してください。', true);
+    return;
+  }
+
+  elements.saveSync.disabled = true;
+  try {
+    const stored = await browserApi.storage.local.get({ [SYNC_SETTINGS_KEY]: DEFAULT_SYNC_SETTINGS });
+    const settings = {
+      enabled,
+      backend: elements.syncBackend.value,
+      endpoint,
+      token: await sealSecretForStorage(token, stored[SYNC_SETTINGS_KEY]?.token)
+    };
+    await browserApi.storage.local.set({ [SYNC_SETTINGS_KEY]: settings });
+    fillSecretInput(elements.syncToken, settings.token);
+    setStatus(elements.syncStatus, enabled ? '同期設定を保存しました。' : '同期設定を保存しました（同期は無効です）。');
+  } catch (error) {
+    console.warn('[personalize] Failed to save sync settings', error);
+    setStatus(
+      elements.syncStatus,
+      error?.message === 'locked' ? describeEncryptionError('locked') : '同期設定の保存に失敗しました。',
+      true
+    );
+  } finally {
+    elements.saveSync.disabled = false;
+  }
+}
+
+async function handleSyncNow() {
+  elements.syncNow.disabled = true;
+  setStatus(elements.syncStatus, '同期しています…');
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'SYNC_NOW' });
+    if (response?.error) {
+      setStatus(
+        elements.syncStatus,
+        `同期に失敗しました: ${response.error}` + (response.retrying ? '（しばらくしてから自動で再試行します）' : ''),
+        true
+      );
+      return;
+    }
+    if (response?.result?.reason === 'locked') {
+      setStatus(elements.syncStatus, '認証トークンが暗号化でロックされています。「暗号化」でロックを解除してください。', true);
+      return;
+    }
+    if (response?.result?.skipped) {
+      setStatus(elements.syncStatus, 'サーバー同期が無効です。有効にして設定を保存してください。', true);
+      return;
+    }
+    setStatus(elements.syncStatus, '同期しました。');
+  } catch (error) {
+    console.warn('[personalize] Failed to sync profile', error);
+    setStatus(elements.syncStatus, '同期に失敗しました。', true);
+  } finally {
+    elements.syncNow.disabled = false;
+    void refreshSyncState();
+  }
+}
+
+async function loadStorageMirrorSettings() {
+  if (!elements.storageMirror) {
+    return;
+  }
+
+  if (!browserApi.storage?.sync) {
+    elements.storageMirror.disabled = true;
+    setStatus(elements.storageMirrorStatus, 'このブラウザでは storage.sync を利用できません。', true);
+    return;
+  }
+
+  try {
+    const stored = await browserApi.storage.local.get({ [STORAGE_MIRROR_ENABLED_KEY]: false });
+    elements.storageMirror.checked = stored[STORAGE_MIRROR_ENABLED_KEY] === true;
+  } catch (error) {
+    console.warn('[personalize] Failed to load storage.sync setting', error);
+    setStatus(elements.storageMirrorStatus, '同期設定の読み込みに失敗しました。', true);
+  }
+  await refreshStorageMirrorStats();
+}
+
+async function refreshStorageMirrorStats() {
+  if (!elements.storageMirrorStats) {
+    return;
+  }
+
+  try {
+    const response = await browserApi.runtime.sendMessage({ type: 'GET_DIAGNOSTICS' });
+    const mirror = response?.snapshot?.storageMirror;
+    if (!mirror?.enabled) {
+      elements.storageMirrorStats.textContent = '';
+      return;
+    }
+
+    const parts = [
+      mirror.lastMirroredAt ? `最終同期: ${new Date(mirror.lastMirroredAt).toLocaleString()}` : '最終同期: なし',
+      `使用量: ${(mirror.bytesInUse / 1024).toFixed(1)} KB`
+    ];
+    if (mirror.droppedOrigins) {
+      parts.push(`容量超過でこの端末にだけ保存: ${mirror.droppedOrigins} サイト`);
+    }
+    if (mirror.fallbackKeys?.length) {
+      parts.push(`同期できなかった設定: ${mirror.fallbackKeys.length} 件`);
+    }
+    if (mirror.lastError) {
+      parts.push(`直近のエラー: ${mirror.lastError.message}`);
+    }
+    elements.storageMirrorStats.textContent = parts.join(' / ');
+  } catch (error) {
+    console.warn('[personalize] Failed to load storage.sync status', error);
+  }
+}
+
+async function handleStorageMirrorToggle(event) {
+  const enabled = event.target.checked;
+  try {
+    await browserApi.storage.local.set({ [STORAGE_MIRROR_ENABLED_KEY]: enabled });
+    setStatus(
+      elements.storageMirrorStatus,
+      enabled ? 'ブラウザの同期を有効にしました。' : 'ブラウザの同期を無効にしました。この端末の設定はそのまま残ります。'
+    );
+  } catch (error) {
+    console.warn('[personalize] Failed to update storage.sync setting', error);
+    setStatus(elements.storageMirrorStatus, '同期設定の更新に失敗しました。', true);
+    event.target.checked = !enabled;
+  }
+}
+
+function renderEncryptionState(status) {
+  if (!elements.encryptionState || !status) {
+    return;
+  }
+
+  const { enabled, unlocked } = status;
+  elements.encryptionState.textContent = !enabled
+    ? '暗号化は無効です。'
+    : unlocked
+      ? '暗号化は有効です（ロック解除中）。'
+      : '暗号化は有効です（ロック中）。API キーを使う処理はロックを解除するまで実行されません。';
+  elements.encryptionConfirmField.hidden = enabled;
+  elements.enableEncryption.hidden = enabled;
+  elements.unlockEncryption.hidden = !enabled || unlocked;
+  elements.lockEncryption.hidden = !enabled || !unlocked;
+  elements.disableEncryption.hidden = !enabled;
+}
+
+async function loadEncryptionStatus() {
+  if (!elements.encryptionState) {
+    return;
+  }
+
+  try {
+    const status = await browserApi.runtime.sendMessage({ type: 'GET_ENCRYPTION_STATUS' });
+    renderEncryptionState(status);
+    if (status && !status.sessionStorage) {
+      setStatus(elements.encryptionStatus, 'このブラウザではロックの解除がバックグラウンドの再起動で失われることがあります。');
+    }
+  } catch (error) {
+    console.warn('[personalize] Failed to load encryption status', error);
+    setStatus(elements.encryptionStatus, '暗号化の状態を取得できませんでした。', true);
+  }
+}
+
+async function runEncryptionCommand(type, button, successMessage) {
+  const passphrase = elements.encryptionPassphrase.value;
+  if (type !== 'LOCK_ENCRYPTION' && !passphrase) {
+    setStatus(elements.encryptionStatus, 'パスフレーズを入力してください。', true);
+    return;
+  }
+
+  button.disabled = true;
+  setStatus(elements.encryptionStatus, '処理しています…');
+  try {
+    const response = await browserApi.runtime.sendMessage({ type, passphrase });
+    if (!response || response.error) {
+      setStatus(elements.encryptionStatus, describeEncryptionError(response?.error), true);
+      return;
+    }
+    elements.encryptionPassphrase.value = '';
+    elements.encryptionPassphraseConfirm.value = '';
+    renderEncryptionState(response);
+    setStatus(elements.encryptionStatus, successMessage);
+    // 保存済みの値の表示（暗号化済みかどうか）を更新する
+    void loadSettings();
+    void loadProviderSettings();
+    void loadSyncSettings();
+  } catch (error) {
+    console.warn('[personalize] Encryption command failed', type, error);
+    setStatus(elements.encryptionStatus, '処理に失敗しました。', true);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function handleEnableEncryption() {
+  const passphrase = elements.encryptionPassphrase.value;
+  if (passphrase.length < ENCRYPTION_MIN_PASSPHRASE_LENGTH) {
+    setStatus(elements.encryptionStatus, describeEncryptionError('passphrase-too-short'), true);
+    return;
+  }
+  if (passphrase !== elements.encryptionPassphraseConfirm.value) {
+    setStatus(elements.encryptionStatus, '確認用のパスフレーズが一致しません。', true);
+    return;
+  }
+  return runEncryptionCommand('ENABLE_ENCRYPTION', elements.enableEncryption, '暗号化を有効にしました。');
+}
+
+function handleUnlockEncryption() {
+  return runEncryptionCommand('UNLOCK_ENCRYPTION', elements.unlockEncryption, 'ロックを解除しました。');
+}
+
+function handleLockEncryption() {
+  return runEncryptionCommand('LOCK_ENCRYPTION', elements.lockEncryption, 'ロックしました。');
+}
+
+function handleDisableEncryption() {
+  if (!window.confirm('暗号化を解除し、保存済みのデータを平文に戻します。よろしいですか？')) {
+    return;
+  }
+  return runEncryptionCommand('DISABLE_ENCRYPTION', elements.disableEncryption, '暗号化を解除しました。');
+}
+
 void loadSettings();
+void loadProviderSettings();
+void loadTaskSettings();
+void loadPrivacySettings();
+void loadRedactionSettings();
+void refreshRedactionStats();
+void loadRetentionSettings();
+void refreshRetentionStats();
+void loadTrackedOrigins();
+void loadSyncSettings();
+void loadStorageMirrorSettings();
+void loadEncryptionStatus();
+void refreshCacheStats();
 
 if (elements.saveKey) {
   elements.saveKey.addEventListener('click', handleSaveApiKey);
 }
 
+if (elements.testKey) {
+  elements.testKey.addEventListener('click', handleTestApiKey);
+}
+
 if (elements.debugMode) {
   elements.debugMode.addEventListener('change', handleDebugToggle);
 }
+
+if (elements.llmProvider) {
+  elements.llmProvider.addEventListener('change', () => {
+    fillProviderFields(elements.llmProvider.value);
+    setStatus(elements.providerStatus, '');
+  });
+}
+
+if (elements.saveProvider) {
+  elements.saveProvider.addEventListener('click', handleSaveProvider);
+}
+
+if (elements.testProvider) {
+  elements.testProvider.addEventListener('click', handleTestProvider);
+}
+
+if (elements.saveTaskSettings) {
+  elements.saveTaskSettings.addEventListener('click', handleSaveTaskSettings);
+}
+
+if (elements.saveCacheTtl) {
+  elements.saveCacheTtl.addEventListener('click', handleSaveCacheTtl);
+}
+
+if (elements.purgeCache) {
+  elements.purgeCache.addEventListener('click', handlePurgeCache);
+}
+
+if (elements.savePrivacy) {
+  elements.savePrivacy.addEventListener('click', handleSavePrivacy);
+}
+
+if (elements.saveRedaction) {
+  elements.saveRedaction.addEventListener('click', handleSaveRedaction);
+}
+
+if (elements.saveRetention) {
+  elements.saveRetention.addEventListener('click', handleSaveRetention);
+}
+
+if (elements.applyRetention) {
+  elements.applyRetention.addEventListener('click', handleApplyRetention);
+}
+
+if (elements.exportProfile) {
+  elements.exportProfile.addEventListener('click', handleExportProfile);
+}
+
+if (elements.importProfile) {
+  elements.importProfile.addEventListener('click', handleImportProfile);
+}
+
+if (elements.refreshData) {
+  elements.refreshData.addEventListener('click', loadTrackedOrigins);
+}
+
+if (elements.deleteAllData) {
+  elements.deleteAllData.addEventListener('click', handleDeleteAllData);
+}
+
+if (elements.saveSync) {
+  elements.saveSync.addEventListener('click', handleSaveSync);
+}
+
+if (elements.syncNow) {
+  elements.syncNow.addEventListener('click', handleSyncNow);
+}
+
+if (elements.storageMirror) {
+  elements.storageMirror.addEventListener('change', handleStorageMirrorToggle);
+}
+
+if (elements.enableEncryption) {
+  elements.enableEncryption.addEventListener('click', handleEnableEncryption);
+}
+
+if (elements.unlockEncryption) {
+  elements.unlockEncryption.addEventListener('click', handleUnlockEncryption);
+}
+
+if (elements.lockEncryption) {
+  elements.lockEncryption.addEventListener('click', handleLockEncryption);
+}
+
+if (elements.disableEncryption) {
+  elements.disableEncryption.addEventListener('click', handleDisableEncryption);
+}
@@ -0,0 +1,227 @@
+const browserApi = typeof browser !== 'undefined' ? browser : chrome;
+
+const ERROR_MESSAGES = {
+  'no-tab': '対象のタブが見つかりません。',
+  'no-snapshot': 'このページの情報を取得できません。ページを再読み込みしてください。',
+  'provider-not-ready': 'LLM プロバイダーが未設定です。設定画面で API キーを登録してください。',
+  'no-proposal': '提案を生成できませんでした。',
+  'no-css': 'CSS を生成できませんでした。',
+  'apply-failed': 'ページへの適用に失敗しました。',
+  'no-highlight': 'このページに適用できるハイライト色はまだありません。',
+  'secrets-locked': 'API キーが暗号化でロックされています。設定画面の「暗号化」でロックを解除してください。',
+  'collection-blocked': 'このページはプライバシー設定で収集対象外のため、提案を生成しません。',
+  unexpected: '処理中にエラーが発生しました。'
+};
+
+const elements = {
+  pageTitle: document.getElementById('page-title'),
+  category: document.getElementById('page-category'),
+  visualTrend: document.getElementById('page-visual-trend'),
+  interactions: document.getElementById('page-interactions'),
+  proposal: document.getElementById('proposal'),
+  rationale: document.getElementById('rationale'),
+  changePlan: document.getElementById('change-plan'),
+  applyCss: document.getElementById('apply-css'),
+  applyHighlight: document.getElementById('apply-highlight'),
+  regenerate: document.getElementById('regenerate'),
+  revert: document.getElementById('revert'),
+  status: document.getElementById('status'),
+  openOptions: document.getElementById('open-options')
+};
+
+// 設定画面での対応が必要なエラー
+const SETUP_ERRORS = new Set(['provider-not-ready', 'secrets-locked']);
+
+const popupState = {
+  tabId: null
+};
+
+function setStatus(element, message, isError = false) {
+  if (!element) {
+    return;
+  }
+
+  element.textContent = message;
+  element.classList.toggle('error', isError);
+}
+
+function describeError(code) {
+  if (elements.openOptions) {
+    elements.openOptions.hidden = !SETUP_ERRORS.has(code);
+  }
+  return ERROR_MESSAGES[code] || ERROR_MESSAGES.unexpected;
+}
+
+function setBusy(busy) {
+  for (const button of [elements.applyCss, elements.applyHighlight, elements.regenerate, elements.revert]) {
+    if (button) {
+      button.disabled = busy || popupState.tabId === null;
+    }
+  }
+}
+
+function sendPopupMessage(type, extra = {}) {
+  return browserApi.runtime.sendMessage({ type, tabId: popupState.tabId, ...extra });
+}
+
+function renderSnapshot(snapshot, interactionSummary) {
+  if (elements.pageTitle) {
+    elements.pageTitle.textContent = snapshot?.title || snapshot?.url || '';
+  }
+  if (elements.category) {
+    elements.category.textContent = snapshot?.category || '―';
+  }
+  if (elements.visualTrend) {
+    elements.visualTrend.textContent = snapshot?.visualTrend || '―';
+  }
+  if (elements.interactions) {
+    elements.interactions.textContent = interactionSummary || '―';
+  }
+}
+
+function renderPreview(preview) {
+  if (elements.proposal) {
+    elements.proposal.textContent = preview?.proposal || '提案はまだありません。';
+  }
+  if (elements.rationale) {
+    elements.rationale.textContent = preview?.rationale || '';
+  }
+  if (elements.changePlan) {
+    elements.changePlan.replaceChildren();
+    for (const step of preview?.changePlan || []) {
+      const item = document.createElement('li');
+      item.textContent = step;
+      elements.changePlan.appendChild(item);
+    }
+  }
+}
+
+async function generatePreview(regenerate) {
+  setBusy(true);
+  setStatus(elements.status, regenerate ? '提案を再生成しています…' : '提案を生成しています…');
+  try {
+    const response = await sendPopupMessage('GENERATE_PAGE_PREVIEW', { regenerate });
+    if (!response?.preview) {
+      setStatus(elements.status, describeError(response?.error), true);
+      return;
+    }
+    renderPreview(response.preview);
+    setStatus(elements.status, '提案を確認してから適用方法を選んでください。');
+  } catch (error) {
+    console.warn('[personalize] Failed to generate page preview', error);
+    setStatus(elements.status, describeError('unexpected'), true);
+  } finally {
+    setBusy(false);
+  }
+}
+
+async function loadPopup() {
+  setBusy(true);
+  try {
+    const [tab] = await browserApi.tabs.query({ active: true, currentWindow: true });
+    if (!tab || typeof tab.id !== 'number') {
+      setStatus(elements.status, describeError('no-tab'), true);
+      return;
+    }
+    popupState.tabId = tab.id;
+
+    const response = await sendPopupMessage('GET_PAGE_PREVIEW');
+    if (response?.error) {
+      setStatus(elements.status, describeError(response.error), true);
+      return;
+    }
+
+    renderSnapshot(response.snapshot, response.interactionSummary);
+    if (response.preview) {
+      renderPreview(response.preview);
+      setStatus(elements.status, '提案を確認してから適用方法を選んでください。');
+      return;
+    }
+    if (!response.providerReady) {
+      setStatus(elements.status, describeError(response.secretsLocked ? 'secrets-locked' : 'provider-not-ready'), true);
+      return;
+    }
+  } catch (error) {
+    console.warn('[personalize] Failed to load popup', error);
+    setStatus(elements.status, describeError('unexpected'), true);
+    return;
+  } finally {
+    setBusy(false);
+  }
+
+  await generatePreview(false);
+}
+
+async function handleApplyCss() {
+  setBusy(true);
+  setStatus(elements.status, 'CSS を適用しています…');
+  try {
+    const response = await sendPopupMessage('APPLY_PAGE_PREVIEW');
+    if (!response?.applied) {
+      setStatus(elements.status, describeError(response?.error || 'apply-failed'), true);
+      return;
+    }
+    renderPreview(response.preview);
+    setStatus(elements.status, 'ページに CSS を適用しました。');
+  } catch (error) {
+    console.warn('[personalize] Failed to apply page preview', error);
+    setStatus(elements.status, describeError('unexpected'), true);
+  } finally {
+    setBusy(false);
+  }
+}
+
+async function handleApplyHighlight() {
+  setBusy(true);
+  try {
+    const response = await sendPopupMessage('APPLY_HIGHLIGHT_PREVIEW');
+    if (!response?.applied) {
+      setStatus(elements.status, describeError(response?.error || 'apply-failed'), true);
+      return;
+    }
+    setStatus(elements.status, 'ハイライトを適用しました。');
+  } catch (error) {
+    console.warn('[personalize] Failed to apply highlight', error);
+    setStatus(elements.status, describeError('unexpected'), true);
+  } finally {
+    setBusy(false);
+  }
+}
+
+async function handleRevert() {
+  setBusy(true);
+  try {
+    await sendPopupMessage('RESTORE_ORIGINAL_PAGE');
+    setStatus(elements.status, '元のページに戻しました。');
+  } catch (error) {
+    console.warn('[personalize] Failed to restore original page', error);
+    setStatus(elements.status, describeError('unexpected'), true);
+  } finally {
+    setBusy(false);
+  }
+}
+
+void loadPopup();
+
+if (elements.applyCss) {
+  elements.applyCss.addEventListener('click', handleApplyCss);
+}
+
+if (elements.applyHighlight) {
+  elements.applyHighlight.addEventListener('click', handleApplyHighlight);
+}
+
+if (elements.regenerate) {
+  elements.regenerate.addEventListener('click', () => generatePreview(true));
+}
+
+if (elements.revert) {
+  elements.revert.addEventListener('click', handleRevert);
+}
+
+if (elements.openOptions) {
+  elements.openOptions.addEventListener('click', () => {
+    browserApi.runtime.openOptionsPage();
+    window.close();
+  });
+}
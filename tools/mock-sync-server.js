@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// プロファイル同期 API の動作確認用モックサーバー。データはメモリ上にだけ保持する
+//   PORT=8787 SYNC_TOKEN=dev-token FAIL_RATE=0.3 node tools/mock-sync-server.js
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.SYNC_TOKEN || 'dev-token';
+// 0〜1 の割合で 503 を返し、拡張側の再試行を確認できるようにする
+const FAIL_RATE = Math.min(Math.max(Number(process.env.FAIL_RATE) || 0, 0), 1);
+
+const items = new Map();
+
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS'
+  });
+  response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function handlePull(url, response) {
+  const since = Number(url.searchParams.get('since')) || 0;
+  const changed = [...items.values()]
+    .filter((entry) => entry.receivedAt > since)
+    .map(({ item }) => item);
+  sendJson(response, 200, { items: changed, serverTime: Date.now() });
+}
+
+async function handlePush(request, response) {
+  let body;
+  try {
+    body = await readBody(request);
+  } catch (error) {
+    sendJson(response, 400, { error: 'invalid JSON' });
+    return;
+  }
+
+  let accepted = 0;
+  const conflicts = [];
+  for (const item of Array.isArray(body.items) ? body.items : []) {
+    if (!item || typeof item.kind !== 'string' || typeof item.key !== 'string' || !Number.isFinite(item.modifiedAt)) {
+      continue;
+    }
+
+    // サーバー側の方が新しければ受け付けず、競合としてサーバーの値を返す
+    const id = `${item.kind}:${item.key}`;
+    const existing = items.get(id);
+    if (existing && existing.item.modifiedAt > item.modifiedAt) {
+      conflicts.push(existing.item);
+      continue;
+    }
+    items.set(id, { item, receivedAt: Date.now() });
+    accepted += 1;
+  }
+
+  sendJson(response, 200, { accepted, conflicts, serverTime: Date.now() });
+}
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url, `http://localhost:${PORT}`);
+  console.log(new Date().toISOString(), request.method, url.pathname + url.search);
+
+  if (request.method === 'OPTIONS') {
+    sendJson(response, 204);
+    return;
+  }
+  if (url.pathname !== '/profile') {
+    sendJson(response, 404, { error: 'not found' });
+    return;
+  }
+  if (request.headers.authorization !== `Bearer ${TOKEN}`) {
+    sendJson(response, 401, { error: 'unauthorized' });
+    return;
+  }
+  if (Math.random() < FAIL_RATE) {
+    sendJson(response, 503, { error: 'simulated failure' });
+    return;
+  }
+
+  if (request.method === 'GET') {
+    handlePull(url, response);
+  } else if (request.method === 'PUT') {
+    handlePush(request, response);
+  } else {
+    sendJson(response, 405, { error: 'method not allowed' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock sync server listening on http://localhost:${PORT} (token: ${TOKEN})`);
+});